@@ -17,6 +17,8 @@ const CLASS = {
         DUMMY: "tjs-row-dummy",
         SEARCHED: "tjs-row-searched",
         NO_DATA: "tjs-row-no-data",
+        SPACER: "tjs-row-spacer",
+        SENTINEL: "tjs-row-sentinel",
     },
     SORT: {
         ASCENDING: "tjs-sort-ascending",
@@ -33,9 +35,30 @@ const CLASS = {
         CONTAINER: "tjs-colvis-container",
         SVG: "tjs-colvis-svg",
     },
+    VIRTUAL: {
+        CONTAINER: "tjs-virtual-container",
+    },
+    PAGES: {
+        BASE: "tjs-pages-element",
+        LIST: "tjs-pages-list",
+        ITEM: "tjs-pages-item",
+        BUTTON: "tjs-pages-button",
+        ACTIVE: "tjs-pages-active",
+        ELLIPSIS: "tjs-pages-ellipsis",
+        FIRST: "tjs-pages-first",
+        LAST: "tjs-pages-last",
+        GO_TO: "tjs-pages-goto",
+    },
+    COLUMN_SEARCH: {
+        ROW: "tjs-column-search",
+        CELL: "tjs-column-search-cell",
+        INPUT: "tjs-column-search-input",
+        SELECT: "tjs-column-search-select",
+    },
     SEARCH: {
         VISIBLE: "tjs-search-visible",
         HIDDEN: "tjs-search-hidden",
+        MATCH: "tjs-search-match",
     },
 }
 
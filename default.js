@@ -28,6 +28,20 @@ const DEFAULT = {
      * @type {string}
      */
     FILTER: "",
+    /**
+     * Operators of the typed filters.
+     * @type {string[]}
+     */
+    FILTER_OPERATORS: [
+        "contains",
+        "min",
+        "max",
+        "from",
+        "to",
+        "any",
+        "boolean",
+        "empty",
+    ],
     /**
      * Default http async.
      * @type {boolean}
@@ -43,11 +57,165 @@ const DEFAULT = {
      * @type {string}
      */
     METHOD: "GET",
+    /**
+     * Default request headers, merged under the headers of the api option.
+     * @type {Object<string, string>}
+     */
+    HEADERS: {
+        "Content-Type": "application/json",
+    },
     /**
      * Default no search result output.
      * @type {string}
      */
     NO_RESULT_MESSAGE: "No matching records found",
+    /**
+     * Default PDF page sizes in points, as [width, height] in portrait.
+     * @type {Object<string, number[]>}
+     */
+    PDF_SIZES: {
+        a3: [841.89, 1190.55],
+        a4: [595.28, 841.89],
+        a5: [419.53, 595.28],
+        letter: [612, 792],
+        legal: [612, 1008],
+    },
+    /**
+     * Events emitted by TableJS instances.
+     * @type {string[]}
+     */
+    EVENTS: [
+        "beforeRequest",
+        "afterRequest",
+        "render",
+        "sort",
+        "search",
+        "filter",
+        "pageChange",
+        "limitChange",
+        "columnToggle",
+        "export",
+        "error",
+    ],
+    /**
+     * Default virtual window, with the container and row heights in pixels and the number of extra rows attached around the visible ones.
+     * @type {{height: number, rowHeight: number, buffer: number}}
+     */
+    VIRTUAL: {
+        height: 400,
+        rowHeight: 32,
+        buffer: 10,
+    },
+    /**
+     * Default state saving, with the storage ("local" or "session"), the saved parts of the state and the version of the saved state.
+     * @type {{storage: string, include: string[], version: number}}
+     */
+    STATE_SAVE: {
+        storage: "local",
+        include: ["page", "limit", "search", "filters", "sorts", "hide"],
+        version: 1,
+    },
+    /**
+     * Default pagination information output, with the template written into the output element and the template appended
+     * when search or filters leave out rows. Both take `{{field}}` placeholders for the fields of the pagination information.
+     * @type {{template: string, filtered: string}}
+     */
+    OUTPUT: {
+        template: "{{current_page}} of {{total_page}}",
+        filtered: "",
+    },
+    /**
+     * Default numbered pagination, with the number of pages shown around the current page and at both ends, and the labels of the controls.
+     * @type {{siblings: number, boundaries: number, first: string, last: string, ellipsis: string}}
+     */
+    PAGES: {
+        siblings: 1,
+        boundaries: 1,
+        first: "«",
+        last: "»",
+        ellipsis: "…",
+    },
+    /**
+     * Default api pagination, with the strategy ("page", "offset" or "cursor"), the request parameters of the offset and cursor
+     * strategies, and the paths of the next and previous cursors in the responses of the cursor strategy.
+     * @type {{strategy: string, params: Object<string, string>, cursors: Object<string, string>}}
+     */
+    API_PAGINATION: {
+        strategy: "page",
+        params: {
+            offset: "offset",
+            limit: "limit",
+            cursor: "cursor",
+        },
+        cursors: {
+            next: "next_cursor",
+            previous: "prev_cursor",
+        },
+    },
+    /**
+     * Default search trigger, with the event running the search ("enter" or "input"), the delay in milliseconds after the
+     * last keystroke of the "input" trigger, and the minimum number of characters of a search.
+     * @type {{trigger: string, delay: number, minChars: number}}
+     */
+    LIVE_SEARCH: {
+        trigger: "enter",
+        delay: 300,
+        minChars: 0,
+    },
+    /**
+     * Default search query, with the api parameter name of the parsed query.
+     * @type {{param: string}}
+     */
+    QUERY: {
+        param: "query",
+    },
+    /**
+     * Default search matching, with the mode ("contains", "startsWith", "exact", "wholeWord", "regex" or "fuzzy"), the share
+     * of a fuzzy word that may be mistyped, whether fuzzy matches are ranked by their score, and the api parameter name of the mode.
+     * @type {{mode: string, threshold: number, rank: boolean, param: string}}
+     */
+    MATCH: {
+        mode: "contains",
+        threshold: 0.3,
+        rank: false,
+        param: "match",
+    },
+    /**
+     * Default column search, with the api serialization of the column values ("bracket", "json" or "flat"), their api parameter
+     * name and the delay in milliseconds after the last keystroke in a column input.
+     * @type {{format: string, param: string, delay: number}}
+     */
+    COLUMN_SEARCH: {
+        format: "bracket",
+        param: "columns",
+        delay: 300,
+    },
+    /**
+     * Default load more, with whether a sentinel row under the rows loads the next page when it scrolls into view, and the
+     * margin around the viewport within which it does.
+     * @type {{observe: boolean, rootMargin: string}}
+     */
+    MORE: {
+        observe: false,
+        rootMargin: "200px",
+    },
+    /**
+     * Default URL synchronization, with the part of the URL holding the state ("query" or "hash"), the history method ("replace" or "push"),
+     * the synchronized properties and their parameter names.
+     * @type {{mode: string, history: string, include: string[], params: Object<string, string>}}
+     */
+    URL_SYNC: {
+        mode: "query",
+        history: "replace",
+        include: ["page", "limit", "search", "filters", "sorts"],
+        params: {
+            page: "page",
+            limit: "limit",
+            search: "search",
+            filters: "filter",
+            sorts: "sort",
+        },
+    },
 };
 
 export default DEFAULT;
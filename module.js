@@ -21,8 +21,8 @@ class HttpRequest {
 	 * @param {string} config.url - The URL to which the request will be made.
 	 * @param {string} [config.method='GET'] - The HTTP method for the request (default is GET).
 	 * @param {number} [config.timeout=5000] - The timeout duration for the request in milliseconds (default is 5 seconds).
-	 * @param {Object} [config.data] - The data to be sent with the request (for POST, PUT, PATCH requests).
-	 * @param {Object} [config.headers] - The headers to be included in the request.
+	 * @param {Object} [config.data] - The data to be sent with the request (for POST, PUT, PATCH requests), a GET request sending an array under a name ending with `[]` once per value.
+	 * @param {Object} [config.headers] - The headers to be included in the request, values can be functions evaluated before every request.
 	 * @param {string} [config.dataType='json'] - The type of data expected in the response ('json' or 'html').
 	 * @param {string} [config.mode='cors'] - The mode for the request (e.g., 'cors', 'no-cors', 'same-origin').
 	 * @param {string} [config.cache='no-cache'] - The cache mode for the request (e.g., 'default', 'no-store', 'reload').
@@ -89,6 +89,7 @@ class HttpRequest {
 
 	/**
 	 * Processes headers keys to HTTP header format.
+	 * Header values that are functions are called on every conversion, and headers resolving to null or undefined are left out.
 	 * @param {Object} headers - The headers object to be processed.
 	 * @returns {Object} The processed headers object.
 	 */
@@ -100,7 +101,13 @@ class HttpRequest {
 					key[0] === key[0].toUpperCase()
 						? key
 						: this.camelToTitleCase(key);
-				convertedHeaders[header] = headers[key];
+				const value =
+					typeof headers[key] === 'function'
+						? headers[key]()
+						: headers[key];
+				if (value !== undefined && value !== null) {
+					convertedHeaders[header] = String(value);
+				}
 			});
 		}
 		return convertedHeaders;
@@ -129,7 +136,16 @@ class HttpRequest {
 			});
 
 			if (method.toUpperCase() === 'GET') {
-				const queryString = new URLSearchParams(data).toString();
+				const params = new URLSearchParams();
+				Object.entries(data).forEach(([key, value]) => {
+					// The values of an array under a name like "filter[city][]" repeat the name
+					if (key.endsWith('[]') && Array.isArray(value)) {
+						value.forEach((item) => params.append(key, item));
+					} else {
+						params.append(key, value);
+					}
+				});
+				const queryString = params.toString();
 				if (queryString !== '') {
 					url += '?' + queryString;
 				}
@@ -139,6 +155,9 @@ class HttpRequest {
 		}
 
 		const controller = new AbortController();
+		this.controller = controller;
+		this.aborted = false;
+		this.inFlight = true;
 		const requestOptions = {
 			async: this.config.async,
 			signal: controller.signal,
@@ -152,6 +171,8 @@ class HttpRequest {
 			body: requestData,
 		};
 		return new Promise((resolve, reject) => {
+			// Settles the promise once afterSend has run, so awaiting callers see the final state.
+			let settle = () => {};
 			if (typeof beforeSend === 'function') {
 				beforeSend();
 			}
@@ -170,33 +191,230 @@ class HttpRequest {
 					}
 				})
 				.then(async (data) => {
+					if (this.aborted) {
+						settle = () => resolve();
+						return;
+					}
 					if (dataType === 'html') {
 						const parser = new DOMParser();
 						const html = parser.parseFromString(data, 'text/html');
 						if (html.documentElement.tagName === 'parsererror') {
 							throw new Error('Failed to parse response as HTML');
 						}
-						resolve(html);
+						settle = () => resolve(html);
 					} else {
 						if (typeof success === 'function') {
 							await success(data);
 						}
-						resolve(data);
+						settle = () => resolve(data);
 					}
 				})
 				.catch((err) => {
+					// An aborted request settles quietly, a newer one has replaced it
+					if (this.aborted) {
+						settle = () => resolve();
+						return;
+					}
+					settle = () => reject(err);
 					if (typeof error === 'function') {
 						error(err);
 					}
-					reject(err);
 				})
 				.finally(() => {
-					if (typeof afterSend === 'function') {
-						afterSend();
+					this.inFlight = false;
+					try {
+						if (typeof afterSend === 'function') {
+							afterSend();
+						}
+					} finally {
+						settle();
 					}
 				});
 		});
 	}
+
+	/**
+	 * Aborts the request in flight, which then settles without calling the success and error callbacks.
+	 * @returns {boolean} True if a request was in flight.
+	 */
+	abort() {
+		if (!this.inFlight) {
+			return false;
+		}
+		this.aborted = true;
+		clearTimeout(this.timeoutId);
+		this.controller.abort();
+		return true;
+	}
+}
+
+/**
+ * Represents a minimal event emitter, calling the handlers of an event in the order they were added.
+ */
+class EventEmitter {
+	/**
+	 * Creates an instance of EventEmitter.
+	 */
+	constructor() {
+		this.handlers = {};
+	}
+
+	/**
+	 * Adds a handler to an event.
+	 * @param {string} event - The event name.
+	 * @param {Function} handler - The handler, receiving the payload of the event.
+	 * @returns {EventEmitter} The emitter.
+	 */
+	on(event, handler) {
+		this.handlers[event] = [...(this.handlers[event] ?? []), handler];
+		return this;
+	}
+
+	/**
+	 * Removes a handler from an event, every handler of the event without a handler, or every handler without an event.
+	 * @param {string} [event] - The event name.
+	 * @param {Function} [handler] - The handler to remove.
+	 * @returns {EventEmitter} The emitter.
+	 */
+	off(event, handler) {
+		if (typeof event === 'undefined') {
+			this.handlers = {};
+		} else if (typeof handler === 'undefined') {
+			delete this.handlers[event];
+		} else {
+			this.handlers[event] = (this.handlers[event] ?? []).filter(
+				(item) => item !== handler && item.handler !== handler
+			);
+		}
+		return this;
+	}
+
+	/**
+	 * Adds a handler to an event, removed after its first call.
+	 * @param {string} event - The event name.
+	 * @param {Function} handler - The handler, receiving the payload of the event.
+	 * @returns {EventEmitter} The emitter.
+	 */
+	once(event, handler) {
+		const wrapper = (payload) => {
+			this.off(event, wrapper);
+			handler(payload);
+		};
+		wrapper.handler = handler;
+		return this.on(event, wrapper);
+	}
+
+	/**
+	 * Calls the handlers of an event. The error of a throwing handler is logged, and the other handlers are still called.
+	 * @param {string} event - The event name.
+	 * @param {Object} [payload] - The payload given to the handlers.
+	 * @returns {EventEmitter} The emitter.
+	 */
+	emit(event, payload) {
+		(this.handlers[event] ?? []).forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(error);
+			}
+		});
+		return this;
+	}
+}
+
+/**
+ * Holds the rows of a table with the state of the features working on them, and runs them as a pipeline:
+ * the filters and the search first, then the sort, then the page.
+ */
+class RowStore {
+	/**
+	 * Creates an instance of RowStore.
+	 * @param {Array} [rows=[]] - The rows, in their original order.
+	 * @param {Object} [state] - The initial state, see `update`.
+	 */
+	constructor(rows = [], state = {}) {
+		this.rows = rows;
+		this.state = {
+			filter: undefined,
+			search: undefined,
+			columns: undefined,
+			rank: undefined,
+			sort: undefined,
+			page: 1,
+			limit: undefined,
+			...state,
+		};
+		this.run();
+	}
+
+	/**
+	 * Replaces the rows, keeping the state, and runs the pipeline.
+	 * @param {Array} rows - The rows, in their original order.
+	 * @returns {Object} The result of the run.
+	 */
+	load(rows) {
+		this.rows = rows;
+		return this.run();
+	}
+
+	/**
+	 * Updates the state and runs the pipeline.
+	 * @param {Object} state - The state to change.
+	 * @param {Function} [state.filter] - The filter predicate, receiving a row.
+	 * @param {Function} [state.search] - The search predicate, receiving a row.
+	 * @param {Function} [state.columns] - The column search predicate, receiving a row.
+	 * @param {Function} [state.rank] - The score of a matching row, ranking the matching rows first by descending score over the sort.
+	 * @param {Function} [state.sort] - The comparator of two rows, the original order being kept without it.
+	 * @param {number} [state.page] - The page, clamped to the pages of the matching rows.
+	 * @param {number|string} [state.limit] - The number of rows of a page, any value that is not a positive number showing every row.
+	 * @returns {Object} The result of the run.
+	 */
+	update(state) {
+		Object.assign(this.state, state);
+		return this.run();
+	}
+
+	/**
+	 * Runs the pipeline.
+	 * @returns {Object} The result, with every row in order (`ordered`), the matching rows in order (`matched`),
+	 * the rows of the current page (`paged`), the current `page`, the number of `pages`, the position of the first row of the page (`start`)
+	 * and the number of rows (`total`).
+	 */
+	run() {
+		const { filter, search, columns, rank, sort, page, limit } = this.state;
+		let ordered =
+			typeof sort === 'function' ? this.rows.toSorted(sort) : [...this.rows];
+		let matched = ordered.filter(
+			(row) =>
+				(typeof filter !== 'function' || filter(row)) &&
+				(typeof search !== 'function' || search(row)) &&
+				(typeof columns !== 'function' || columns(row))
+		);
+		if (typeof rank === 'function') {
+			// Rows of the same score keep their sorted order
+			const scores = new Map(matched.map((row) => [row, rank(row)]));
+			matched = matched.toSorted((a, b) => scores.get(b) - scores.get(a));
+			ordered = [...matched, ...ordered.filter((row) => !scores.has(row))];
+		}
+		const size =
+			Number(limit) > 0 ? Number(limit) : Math.max(1, matched.length);
+		const pages = Math.max(1, Math.ceil(matched.length / size));
+		const current = Math.min(Math.max(1, Math.trunc(page) || 1), pages);
+		const start = (current - 1) * size;
+
+		this.state.page = current;
+		this.result = {
+			ordered,
+			matched,
+			paged: matched.slice(start, start + size),
+			page: current,
+			pages,
+			start,
+			total: this.rows.length,
+		};
+
+		return this.result;
+	}
 }
 
-export { TableJSError, HttpRequest };
+export { TableJSError, HttpRequest, RowStore, EventEmitter };
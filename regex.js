@@ -53,6 +53,43 @@ const REGEX = {
      * @type {RegExp}
      */
     ALPHABETIC_CHARACTERS: /[a-zA-Z]/g,
+    /**
+     * Matches the first number of a text, with thousands separators, decimals and an exponent, leaving out its sign
+     * and the labels around it.
+     * @type {RegExp}
+     */
+    SORT_NUMBER: /\d[\d,]*(\.\d+)?(e[-+]?\d+)?/i,
+    /**
+     * Matches `{{field}}` placeholders, capturing the field.
+     * @type {RegExp}
+     */
+    PLACEHOLDER: /\{\{\s*([\w$.-]+)\s*\}\}/g,
+    /**
+     * Matches a term of a search query from the last index, capturing the negation, the field, the operator,
+     * the quoted phrase and its closing quote, or the word.
+     * @type {RegExp}
+     */
+    QUERY_TERM: /(-)?(?:([\w$.-]+)(>=|<=|:|=|>|<))?(?:"([^"]*)("?)|([^\s"]+))?/y,
+    /**
+     * Matches a number, with an optional sign, currency symbol, thousands separators and percent sign.
+     * @type {RegExp}
+     */
+    QUERY_NUMBER: /^[-+]?[^\d\s.]?\d[\d,]*(\.\d+)?%?$/,
+    /**
+     * Matches the combining marks left by the canonical decomposition of accented characters.
+     * @type {RegExp}
+     */
+    COMBINING_MARKS: /\p{M}/gu,
+    /**
+     * Matches runs of characters that are neither letters nor numbers, separating the words of a text.
+     * @type {RegExp}
+     */
+    WORD_SEPARATORS: /[^\p{L}\p{N}]+/u,
+    /**
+     * Matches the words of a text, runs of letters and numbers.
+     * @type {RegExp}
+     */
+    WORDS: /[\p{L}\p{N}]+/gu,
 };
 
 export default REGEX;
\ No newline at end of file
@@ -5,7 +5,7 @@
 import CLASS from "./class.js";
 import DEFAULT from "./default.js";
 import UTILITIES from "./utilities.js";
-import { HttpRequest, TableJSError } from "./module.js";
+import { EventEmitter, HttpRequest, TableJSError } from "./module.js";
 
 (function (global, factory) {
     "use strict";
@@ -44,7 +44,14 @@ import { HttpRequest, TableJSError } from "./module.js";
             return new TableJS(table, options);
         }
 
+        // Initializing a table again replaces its previous instance
+        if (typeof table === "string" || table instanceof Element) {
+            UTILITIES.validateElement(table)?.instance?.destroy();
+        }
+
         this.elements = {};
+        this.events = new EventEmitter();
+        this.snapshots = [];
 
         this.options = UTILITIES.validateVariable(options, {
             variableName: "TableJS.options",
@@ -54,7 +61,20 @@ import { HttpRequest, TableJSError } from "./module.js";
             ],
         });
 
-        let { colvis, exportAs, api, paginate, sort, dataset } = options;
+        let {
+            colvis,
+            exportAs,
+            api,
+            paginate,
+            sort,
+            dataset,
+            columns,
+            virtual,
+            on,
+            stateSave,
+            urlSync,
+            columnSearch,
+        } = options;
         if (colvis) {
             this.elements.colvis = UTILITIES.validateVariable(colvis, {
                 variableName: "options.colvis",
@@ -62,6 +82,7 @@ import { HttpRequest, TableJSError } from "./module.js";
                 $fallback: ({ element }) => UTILITIES.validateElement(element),
                 $or: [{ typeOf: "string" }, { instanceOf: Element }],
             });
+            this.snapshots.push(UTILITIES.toSnapshot(this.elements.colvis));
             Object.assign(this.elements.colvis, colvis);
         }
         if (exportAs) {
@@ -71,6 +92,7 @@ import { HttpRequest, TableJSError } from "./module.js";
                     array.reduce((acc, object) => {
                         const { as, element } = object;
                         let $element = UTILITIES.validateElement(element);
+                        this.snapshots.push(UTILITIES.toSnapshot($element));
                         Object.assign($element, object);
                         return {
                             ...acc,
@@ -116,6 +138,51 @@ import { HttpRequest, TableJSError } from "./module.js";
                     { has: ["url"] },
                 ],
             });
+
+            this.api.pagination = UTILITIES.validateVariable(
+                this.api.pagination,
+                {
+                    variableName: "options.api.pagination",
+                    $transform: (pagination) => {
+                        let object =
+                            typeof pagination === "string"
+                                ? { strategy: pagination }
+                                : pagination ?? {};
+                        return {
+                            ...DEFAULT.API_PAGINATION,
+                            ...object,
+                            params: {
+                                ...DEFAULT.API_PAGINATION.params,
+                                ...object.params,
+                            },
+                            cursors: {
+                                ...DEFAULT.API_PAGINATION.cursors,
+                                ...object.cursors,
+                            },
+                        };
+                    },
+                    $or: [
+                        { typeOf: "undefined" },
+                        { in: ["page", "offset", "cursor"] },
+                        {
+                            $and: [
+                                { typeOf: "object" },
+                                {
+                                    execute: (object) =>
+                                        !Array.isArray(object),
+                                },
+                                {
+                                    execute: ({ strategy }) =>
+                                        strategy === undefined ||
+                                        ["page", "offset", "cursor"].includes(
+                                            strategy
+                                        ),
+                                },
+                            ],
+                        },
+                    ],
+                }
+            );
         }
         if (paginate) {
             this.elements.paginate = UTILITIES.validateVariable(paginate, {
@@ -130,6 +197,7 @@ import { HttpRequest, TableJSError } from "./module.js";
                             acc[to][as] = [];
                         }
                         element = UTILITIES.validateElement(element);
+                        this.snapshots.push(UTILITIES.toSnapshot(element));
                         if (api?.init === true && to === "api") {
                             element.disabled = true;
                         }
@@ -161,10 +229,124 @@ import { HttpRequest, TableJSError } from "./module.js";
                                         "limit",
                                         "search",
                                         "filter",
+                                        "pages",
+                                        "more",
                                     ].includes(as?.toLowerCase()) &&
                                     ["api", "local"].includes(to?.toLowerCase())
                             ),
                     },
+                    {
+                        // Only api tables have more rows to load
+                        execute: (array) =>
+                            array.every(
+                                ({ to, as }) =>
+                                    as?.toLowerCase() !== "more" ||
+                                    to?.toLowerCase() === "api"
+                            ),
+                    },
+                    {
+                        // Typed filters name a column and an operator, the choices of an "empty" filter being "empty" and "notEmpty"
+                        execute: (array) =>
+                            array.every(
+                                ({
+                                    as,
+                                    element,
+                                    column,
+                                    operator = "contains",
+                                    dateFormat,
+                                }) => {
+                                    if (
+                                        as?.toLowerCase() !== "filter" ||
+                                        column === undefined
+                                    ) {
+                                        return true;
+                                    }
+                                    let el = UTILITIES.validateElement(element);
+                                    let choices = el.options
+                                        ? Array.from(el.options)
+                                        : el.type === "checkbox"
+                                        ? [el]
+                                        : "value" in el
+                                        ? []
+                                        : Array.from(
+                                              el.querySelectorAll("input")
+                                          );
+                                    return (
+                                        ["string", "number"].includes(
+                                            typeof column
+                                        ) &&
+                                        DEFAULT.FILTER_OPERATORS.includes(
+                                            operator
+                                        ) &&
+                                        (dateFormat === undefined ||
+                                            typeof dateFormat === "function" ||
+                                            [
+                                                "iso",
+                                                "mdy",
+                                                "dmy",
+                                                "ymd",
+                                            ].includes(dateFormat)) &&
+                                        (operator !== "empty" ||
+                                            choices.every(({ value }) =>
+                                                [
+                                                    DEFAULT.FILTER,
+                                                    "empty",
+                                                    "notEmpty",
+                                                ].includes(value)
+                                            ))
+                                    );
+                                }
+                            ),
+                    },
+                ],
+            });
+        }
+
+        if (columns) {
+            columns = UTILITIES.validateVariable(columns, {
+                variableName: "options.columns",
+                $transform: (array) =>
+                    array.map((column) => ({
+                        visible: true,
+                        sortable: true,
+                        searchable: true,
+                        exportable: true,
+                        ...column,
+                    })),
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (array) => Array.isArray(array) },
+                    {
+                        execute: (array) =>
+                            array.every(
+                                (item) =>
+                                    typeof item === "object" &&
+                                    !Array.isArray(item) &&
+                                    ["string", "number"].includes(
+                                        typeof item.key
+                                    )
+                            ),
+                    },
+                    {
+                        execute: (array) =>
+                            array.every(
+                                ({ format, render }) =>
+                                    [format, render].every(
+                                        (callback) =>
+                                            callback === undefined ||
+                                            typeof callback === "function"
+                                    )
+                            ),
+                    },
+                    {
+                        execute: (array) =>
+                            array.every(
+                                ({ template }) =>
+                                    template === undefined ||
+                                    typeof template === "string" ||
+                                    template instanceof HTMLTemplateElement
+                            ),
+                    },
                 ],
             });
         }
@@ -176,6 +358,8 @@ import { HttpRequest, TableJSError } from "./module.js";
                 $or: [{ typeOf: "string" }, { instanceOf: Element }],
             });
 
+            this.snapshots.push(UTILITIES.toSnapshot(table));
+
             let ths = table.querySelectorAll("thead th");
             let trs = table.querySelectorAll(`tr:not(.${CLASS.TR.NO_DATA})`);
 
@@ -184,9 +368,13 @@ import { HttpRequest, TableJSError } from "./module.js";
 
             table.classList.add(CLASS.TABLE);
 
+            // Column definitions apply to existing markup by position
+            table.columns = columns;
+
             headers?.forEach((th) => {
                 if (!th.dataset.tjsColumn) {
-                    th.dataset.tjsColumn = th.cellIndex;
+                    th.dataset.tjsColumn =
+                        columns?.[th.cellIndex]?.key ?? th.cellIndex;
                 }
                 th.classList.add(CLASS.TH.BASE);
             });
@@ -215,6 +403,8 @@ import { HttpRequest, TableJSError } from "./module.js";
             });
 
             this.elements.table = table;
+            table.instance = this;
+            table.events = this.events;
 
             table.sort = UTILITIES.validateVariable(sort, {
                 $fallback: { ascending: true, exclude: [] },
@@ -224,7 +414,7 @@ import { HttpRequest, TableJSError } from "./module.js";
                 ],
             });
 
-            table.properties = new Proxy(table, {
+            const { proxy, revoke } = Proxy.revocable(table, {
                 set: (target, property, value) => {
                     const previousValue = target[property];
                     if (previousValue !== value) {
@@ -233,17 +423,162 @@ import { HttpRequest, TableJSError } from "./module.js";
                             elements: this.elements,
                             property,
                             value,
+                            previousValue,
                         });
                     }
                     return true;
                 },
             });
+            table.properties = proxy;
+            this.revokeProperties = revoke;
 
             Object.assign(table.properties, {
                 page: DEFAULT.PAGE,
                 limit: DEFAULT.LIMIT,
                 search: "",
                 filters: {},
+                columnSearch: {},
+            });
+
+            if (virtual) {
+                virtual = UTILITIES.validateVariable(virtual, {
+                    variableName: "options.virtual",
+                    $fallback: {},
+                    $and: [
+                        { typeOf: "object" },
+                        { execute: (object) => !Array.isArray(object) },
+                    ],
+                });
+                UTILITIES.toVirtual({ table, ...virtual });
+            }
+        }
+        if (stateSave) {
+            this.stateSave = UTILITIES.validateVariable(stateSave, {
+                variableName: "options.stateSave",
+                $transform: (object) => ({
+                    ...DEFAULT.STATE_SAVE,
+                    key: `tjs-state:${window.location?.pathname}:${table?.id}`,
+                    ...(object === true ? {} : object),
+                }),
+                $or: [
+                    { strictEquals: true },
+                    {
+                        $and: [
+                            { typeOf: "object" },
+                            { execute: (object) => !Array.isArray(object) },
+                            {
+                                execute: ({ key }) =>
+                                    key === undefined ||
+                                    (typeof key === "string" && key.length > 0),
+                            },
+                            {
+                                execute: ({ storage }) =>
+                                    storage === undefined ||
+                                    ["local", "session"].includes(storage) ||
+                                    (typeof storage?.getItem === "function" &&
+                                        typeof storage?.setItem === "function"),
+                            },
+                            {
+                                execute: ({ include }) =>
+                                    include === undefined ||
+                                    (Array.isArray(include) &&
+                                        include.every((item) =>
+                                            DEFAULT.STATE_SAVE.include.includes(
+                                                item
+                                            )
+                                        )),
+                            },
+                        ],
+                    },
+                ],
+            });
+        }
+        if (urlSync) {
+            this.urlSync = UTILITIES.validateVariable(urlSync, {
+                variableName: "options.urlSync",
+                $transform: (object) => ({
+                    ...DEFAULT.URL_SYNC,
+                    ...(object === true ? {} : object),
+                    params: {
+                        ...DEFAULT.URL_SYNC.params,
+                        ...(object === true ? {} : object.params),
+                    },
+                }),
+                $or: [
+                    { strictEquals: true },
+                    {
+                        $and: [
+                            { typeOf: "object" },
+                            { execute: (object) => !Array.isArray(object) },
+                            {
+                                execute: ({ mode }) =>
+                                    mode === undefined ||
+                                    ["query", "hash"].includes(mode),
+                            },
+                            {
+                                execute: ({ history }) =>
+                                    history === undefined ||
+                                    ["replace", "push"].includes(history),
+                            },
+                            {
+                                execute: ({ include }) =>
+                                    include === undefined ||
+                                    (Array.isArray(include) &&
+                                        include.every((item) =>
+                                            DEFAULT.URL_SYNC.include.includes(
+                                                item
+                                            )
+                                        )),
+                            },
+                            {
+                                execute: ({ params = {} }) =>
+                                    Object.values(params).every(
+                                        (param) =>
+                                            typeof param === "string" &&
+                                            param.length > 0
+                                    ),
+                            },
+                        ],
+                    },
+                ],
+            });
+        }
+        if (columnSearch) {
+            this.columnSearch = UTILITIES.validateVariable(columnSearch, {
+                variableName: "options.columnSearch",
+                $transform: (object) => ({
+                    ...DEFAULT.COLUMN_SEARCH,
+                    controls: {},
+                    ...(object === true ? {} : object),
+                    to: this.api?.url ? "api" : "local",
+                }),
+                $or: [
+                    { strictEquals: true },
+                    {
+                        $and: [
+                            { typeOf: "object" },
+                            { execute: (object) => !Array.isArray(object) },
+                            {
+                                execute: ({ format }) =>
+                                    format === undefined ||
+                                    ["bracket", "json", "flat"].includes(
+                                        format
+                                    ),
+                            },
+                            {
+                                execute: ({ controls = {} }) =>
+                                    Object.values(controls).every(
+                                        (control) =>
+                                            control === false ||
+                                            Array.isArray(control) ||
+                                            ["input", "select"].includes(
+                                                control
+                                            )
+                                    ),
+                            },
+                        ],
+                    },
+                ],
             });
         }
         if (dataset) {
@@ -264,14 +599,194 @@ import { HttpRequest, TableJSError } from "./module.js";
             this.dataset = dataset;
         }
 
+        if (on) {
+            // Handlers given as an option also receive the events of the first request
+            on = UTILITIES.validateVariable(on, {
+                variableName: "options.on",
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    {
+                        execute: (object) =>
+                            Object.entries(object).every(
+                                ([event, handler]) =>
+                                    DEFAULT.EVENTS.includes(event) &&
+                                    typeof handler === "function"
+                            ),
+                    },
+                ],
+            });
+            Object.entries(on).forEach(([event, handler]) =>
+                this.events.on(event, handler)
+            );
+        }
+
+        // Saved state is restored before the first request or render
+        UTILITIES.restoreState(this);
+        UTILITIES.toUrlSync(this);
+
         UTILITIES.toInitialize(this);
 
         return this;
     }
 
-    TableJS.prototype.setApiHeader = function (key, value) {};
+    /**
+     * Destroys the instance: removes its listeners, restores the original markup of the table and of the colvis, export
+     * and paginate elements, and releases the properties of the table. The table can then be initialized again.
+     *
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.destroy = function () {
+        if (!this.destroyed) {
+            UTILITIES.toDestroy(this);
+        }
+
+        return this;
+    };
+
+    /**
+     * Adds a handler to an event of the table.
+     *
+     * @param {string} event - The event name, one of "beforeRequest", "afterRequest", "render", "sort", "search", "filter",
+     * "pageChange", "limitChange", "columnToggle", "export" or "error".
+     * @param {Function} handler - The handler, receiving a payload with the event `type`, the `table` and the new state.
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.on = function (event, handler) {
+        event = UTILITIES.validateVariable(event, {
+            variableName: "on.event",
+            $and: [{ typeOf: "string" }, { in: DEFAULT.EVENTS }],
+        });
+        handler = UTILITIES.validateVariable(handler, {
+            variableName: "on.handler",
+            $and: [{ typeOf: "function" }],
+        });
+
+        this.events.on(event, handler);
+
+        return this;
+    };
+
+    /**
+     * Removes a handler from an event of the table, or every handler of the event without a handler.
+     *
+     * @param {string} event - The event name.
+     * @param {Function} [handler] - The handler to remove.
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.off = function (event, handler) {
+        event = UTILITIES.validateVariable(event, {
+            variableName: "off.event",
+            $and: [{ typeOf: "string" }, { in: DEFAULT.EVENTS }],
+        });
+        handler = UTILITIES.validateVariable(handler, {
+            variableName: "off.handler",
+            $or: [{ typeOf: "undefined" }, { typeOf: "function" }],
+        });
+
+        this.events.off(event, handler);
+
+        return this;
+    };
+
+    /**
+     * Adds a handler to an event of the table, removed after its first call.
+     *
+     * @param {string} event - The event name.
+     * @param {Function} handler - The handler, receiving a payload with the event `type`, the `table` and the new state.
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.once = function (event, handler) {
+        event = UTILITIES.validateVariable(event, {
+            variableName: "once.event",
+            $and: [{ typeOf: "string" }, { in: DEFAULT.EVENTS }],
+        });
+        handler = UTILITIES.validateVariable(handler, {
+            variableName: "once.handler",
+            $and: [{ typeOf: "function" }],
+        });
+
+        this.events.once(event, handler);
+
+        return this;
+    };
+
+    /**
+     * Sets a header sent with every API request.
+     *
+     * @param {string} key - The header name, either in HTTP format ("X-Tenant-Id") or camelCase ("xTenantId").
+     * @param {string|number|Function} value - The header value, or a function returning it, called before every request.
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.setApiHeader = function (key, value) {
+        key = UTILITIES.validateVariable(key, {
+            variableName: "setApiHeader.key",
+            $and: [{ typeOf: "string" }, { execute: (str) => str.length > 0 }],
+        });
+        value = UTILITIES.validateVariable(value, {
+            variableName: "setApiHeader.value",
+            $or: [
+                { typeOf: "string" },
+                { typeOf: "number" },
+                { typeOf: "function" },
+            ],
+        });
+
+        if (this.api) {
+            this.removeApiHeader(key);
+            this.api.headers = { ...this.api.headers, [key]: value };
+        }
+
+        return this;
+    };
+
+    /**
+     * Sets several headers sent with every API request, merged with the current headers.
+     *
+     * @param {Object<string, string|number|Function>} headers - The headers to set.
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.setApiHeaders = function (headers = {}) {
+        headers = UTILITIES.validateVariable(headers, {
+            variableName: "setApiHeaders.headers",
+            $and: [
+                { typeOf: "object" },
+                { instanceOf: Object },
+                { execute: (object) => !Array.isArray(object) },
+            ],
+        });
+
+        Object.entries(headers).forEach(([key, value]) =>
+            this.setApiHeader(key, value)
+        );
+
+        return this;
+    };
+
+    /**
+     * Removes a header from the API requests, regardless of the format it was set in.
+     *
+     * @param {string} key - The header name.
+     * @returns {TableJS} The instance.
+     */
+    TableJS.prototype.removeApiHeader = function (key) {
+        key = UTILITIES.validateVariable(key, {
+            variableName: "removeApiHeader.key",
+            $and: [{ typeOf: "string" }],
+        });
+
+        let normalize = (header) => header.replace(/-/g, "").toLowerCase();
+
+        if (this.api?.headers) {
+            this.api.headers = Object.fromEntries(
+                Object.entries(this.api.headers).filter(
+                    ([header]) => normalize(header) !== normalize(key)
+                )
+            );
+        }
 
-    TableJS.prototype.setApiHeaders = function (headers = {}) {};
+        return this;
+    };
 
     TableJS.prototype.setApiData = function (data = {}) {
         data = UTILITIES.validateVariable(data, {
@@ -308,14 +823,133 @@ import { HttpRequest, TableJSError } from "./module.js";
         return this;
     };
 
+    /**
+     * Changes the number of rows per page.
+     *
+     * @param {number|string} value - The number of rows per page, or "*" for all rows.
+     * @returns {Promise<TableJS>} Resolves with the instance once the rows have been rendered.
+     */
     TableJS.prototype.limit = function (value) {
-        if (!this.api) this.api = {};
+        value = UTILITIES.validateVariable(value, {
+            variableName: "limit.value",
+            $or: [
+                { strictEquals: DEFAULT.LIMIT },
+                { execute: (n) => Number.isInteger(+n) && +n > 0 },
+            ],
+        });
 
-        return this;
+        let { table, paginate } = this.elements;
+        let to = this.api?.url ? "api" : "local";
+        let elements = paginate?.[to]?.limit ?? [];
+        let limitSize = value === DEFAULT.LIMIT ? value : +value;
+
+        switch (to) {
+            case "local":
+                if (elements.length < 1) {
+                    UTILITIES.toLimit({ table, limitSize, to, instance: this });
+                }
+                elements.forEach((el) => {
+                    UTILITIES.toLimit({
+                        table,
+                        ...el,
+                        limitSize,
+                        to,
+                        instance: this,
+                    });
+                });
+                return Promise.resolve(this);
+            default:
+                UTILITIES.toLimit({
+                    table,
+                    ...elements[0],
+                    limitSize,
+                    to,
+                    instance: this,
+                });
+                return this.pending.then(() => this);
+        }
     };
 
+    /**
+     * Moves to the next page.
+     *
+     * @returns {Promise<TableJS>} Resolves with the instance once the page has been rendered.
+     */
     TableJS.prototype.next = function () {
-        return this;
+        return UTILITIES.toNavigate({ instance: this, as: "next" });
+    };
+
+    /**
+     * Moves to the previous page.
+     *
+     * @returns {Promise<TableJS>} Resolves with the instance once the page has been rendered.
+     */
+    TableJS.prototype.previous = function () {
+        return UTILITIES.toNavigate({ instance: this, as: "previous" });
+    };
+
+    /**
+     * Moves to the first page.
+     *
+     * @returns {Promise<TableJS>} Resolves with the instance once the page has been rendered.
+     */
+    TableJS.prototype.first = function () {
+        return UTILITIES.toNavigate({ instance: this, as: "first" });
+    };
+
+    /**
+     * Moves to the last page.
+     *
+     * @returns {Promise<TableJS>} Resolves with the instance once the page has been rendered.
+     */
+    TableJS.prototype.last = function () {
+        return UTILITIES.toNavigate({ instance: this, as: "last" });
+    };
+
+    /**
+     * Moves to the given page, clamped between the first and the last page.
+     *
+     * @param {number} page - The page number to go to.
+     * @returns {Promise<TableJS>} Resolves with the instance once the page has been rendered.
+     */
+    TableJS.prototype.goTo = function (page) {
+        return UTILITIES.toNavigate({ instance: this, as: "page", page });
+    };
+
+    /**
+     * Sets the sort stack of the table, the first entry being the primary sort key.
+     *
+     * @param {Array<{column: string|number, direction: string}>} [sorts=[]] - The columns, as `data-tjs-column` values or header indexes, and their
+     * directions ("asc" or "desc"). An empty array removes the sorting.
+     * @returns {Promise<TableJS>} Resolves with the instance once the rows have been rendered.
+     */
+    TableJS.prototype.sort = function (sorts = []) {
+        sorts = UTILITIES.validateVariable(sorts, {
+            variableName: "sort.sorts",
+            $and: [
+                { typeOf: "object" },
+                { execute: (array) => Array.isArray(array) },
+            ],
+        });
+
+        let { table } = this.elements;
+        let { to = "local", params, ascending, columns, empty } =
+            table.sort ?? {};
+
+        UTILITIES.applySort({
+            table,
+            sorts,
+            to,
+            params,
+            ascending,
+            columns,
+            empty,
+            instance: this,
+        });
+
+        return to === "api"
+            ? this.pending.then(() => this)
+            : Promise.resolve(this);
     };
 
     TableJS.prototype.render = function (method) {
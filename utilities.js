@@ -3,7 +3,7 @@ import CLASS from "./class.js";
 import VECTORS from "./vectors.js";
 import REGEX from "./regex.js";
 import DEFAULT from "./default.js";
-import { HttpRequest, TableJSError } from "./module.js";
+import { HttpRequest, RowStore, TableJSError } from "./module.js";
 
 /**
  * Generates pagination items based on the provided row length and row limit.
@@ -66,35 +66,47 @@ function preInitialize(instance) {
     });
     exportAs = validateVariable(exportAs, {
         variableName: "preInitialize.exportAs",
-        $and: [
-            { typeOf: "object" },
-            { execute: (object) => !Array.isArray(object) },
+        $or: [
+            { typeOf: "undefined" },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                ],
+            },
         ],
     });
     colvis = validateVariable(colvis, {
         variableName: "preInitialize.colvis",
-        $and: [
-            { typeOf: "object" },
-            { execute: (object) => !Array.isArray(object) },
+        $or: [
+            { typeOf: "undefined" },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                ],
+            },
         ],
     });
     if (colvis) {
         toColvis({ table, ...colvis });
     }
     if (table && table.sort) {
-        toSort({ table, ...table.sort });
+        toSort({ table, ...table.sort, instance });
     }
     if (exportAs) {
-        const { csv, print, excel } = exportAs;
+        const { csv, print, excel, pdf } = exportAs;
         if (csv) {
             if (!csv.hasClickCSVEventListener) {
-                csv.addEventListener("click", () => toCSV({ table, ...csv }));
+                addListener(table, csv, "click", () =>
+                    toCSV({ table, ...csv })
+                );
                 csv.hasClickCSVEventListener = true;
             }
         }
         if (print) {
             if (!print.hasClickPrintEventListener) {
-                print.addEventListener("click", () =>
+                addListener(table, print, "click", () =>
                     toPrint({ table, ...print })
                 );
                 print.hasClickPrintEventListener = true;
@@ -102,12 +114,20 @@ function preInitialize(instance) {
         }
         if (excel) {
             if (!excel.hasClickExcelEventListener) {
-                excel.addEventListener("click", () =>
+                addListener(table, excel, "click", () =>
                     toExcel({ table, ...excel })
                 );
                 excel.hasClickExcelEventListener = true;
             }
         }
+        if (pdf) {
+            if (!pdf.hasClickPDFEventListener) {
+                addListener(table, pdf, "click", () =>
+                    toPDF({ table, ...pdf })
+                );
+                pdf.hasClickPDFEventListener = true;
+            }
+        }
     }
     if (paginate) {
         if (paginate.local) {
@@ -115,7 +135,7 @@ function preInitialize(instance) {
             if (limit) {
                 limit.forEach((el) => {
                     if (!el.hasLocalChangeLimitEventListener) {
-                        el.addEventListener("change", (e) => {
+                        addListener(table, el, "change", (e) => {
                             toLimit({
                                 table,
                                 limitSize: e.target.value,
@@ -130,7 +150,7 @@ function preInitialize(instance) {
             if (next) {
                 next.forEach((el) => {
                     if (!el.hasLocalClickNextEventListener) {
-                        el.addEventListener("click", (e) =>
+                        addListener(table, el, "click", (e) =>
                             toPaginate({ table, ...el, to: "local" })
                         );
                         el.hasLocalClickNextEventListener = true;
@@ -140,7 +160,7 @@ function preInitialize(instance) {
             if (previous) {
                 previous.forEach((el) => {
                     if (!el.hasLocalClickPreviousEventListener) {
-                        el.addEventListener("click", (e) =>
+                        addListener(table, el, "click", (e) =>
                             toPaginate({ table, ...el, to: "local" })
                         );
                         el.hasLocalClickPreviousEventListener = true;
@@ -148,55 +168,80 @@ function preInitialize(instance) {
                 });
             }
             if (search) {
-                if (!search.hasLocalKeypressSearchEventListener) {
-                    search.forEach((el) => {
-                        el.addEventListener("keypress", (e) => {
+                search.forEach((el) => {
+                    const { trigger, delay, minChars } = getSearchTrigger(el);
+                    if (!el.hasLocalKeypressSearchEventListener) {
+                        addListener(table, el, "keypress", (e) => {
                             let searchValue = e.target.value;
                             let searchQuery = el.previousQuery;
                             if (
                                 (e.key === "Enter" || e.keyCode === 13) &&
-                                searchQuery !== searchValue
+                                searchQuery !== searchValue &&
+                                (searchValue.length === 0 ||
+                                    searchValue.length >= minChars)
                             ) {
+                                clearTimeout(el.searchTimeoutId);
                                 toSearch({
                                     table,
                                     keyword: searchValue,
                                     ...el,
                                     to: "local",
                                 });
-                                search.previousQuery = searchValue;
+                                el.previousQuery = searchValue;
                             }
                         });
                         el.hasLocalKeypressSearchEventListener = true;
+                    }
 
-                        if (!el.hasLocalInputSearchEventListener) {
-                            el.addEventListener("input", (e) => {
-                                if (e.target.value.length === 0) {
-                                    el.previousQuery = DEFAULT.SEARCH;
-                                    toSearch({
-                                        table,
-                                        keyword: DEFAULT.SEARCH,
-                                        ...el,
-                                        to: "local",
-                                    });
-                                }
-                            });
-                            el.hasLocalInputSearchEventListener = true;
-                        }
-                    });
-                }
+                    if (!el.hasLocalInputSearchEventListener) {
+                        addListener(table, el, "input", (e) => {
+                            let searchValue = e.target.value;
+                            clearTimeout(el.searchTimeoutId);
+                            if (searchValue.length === 0) {
+                                el.previousQuery = DEFAULT.SEARCH;
+                                toSearch({
+                                    table,
+                                    keyword: DEFAULT.SEARCH,
+                                    ...el,
+                                    to: "local",
+                                });
+                            } else if (trigger === "input") {
+                                // Too short a search resets it, like an empty one
+                                let keyword =
+                                    searchValue.length >= minChars
+                                        ? searchValue
+                                        : DEFAULT.SEARCH;
+                                el.searchTimeoutId = setTimeout(() => {
+                                    let previousQuery =
+                                        el.previousQuery ?? DEFAULT.SEARCH;
+                                    if (previousQuery !== keyword) {
+                                        el.previousQuery = keyword;
+                                        toSearch({
+                                            table,
+                                            keyword,
+                                            ...el,
+                                            to: "local",
+                                        });
+                                    }
+                                }, delay);
+                            }
+                        });
+                        el.hasLocalInputSearchEventListener = true;
+                    }
+                });
             }
             if (filter) {
                 filter.forEach((el) => {
                     if (!el.hasLocalFilterEventListener) {
-                        el.addEventListener("change", (e) => {
+                        addListener(table, el, "change", (e) => {
                             toFilter({
                                 table,
                                 filters: {
                                     ...table.properties.filters,
-                                    [e.target.id ?? e.target.name]:
-                                        e.target.value,
+                                    [el.id || el.name]: readFilterValue(el),
                                 },
                                 ...el,
+                                controls: getFilterControls(filter),
                                 to: "local",
                             });
                         });
@@ -210,7 +255,7 @@ function preInitialize(instance) {
             if (limit) {
                 limit.forEach((el) => {
                     if (!el.hasApiChangeLimitEventListener) {
-                        el.addEventListener("change", (e) => {
+                        addListener(table, el, "change", (e) => {
                             toLimit({
                                 table,
                                 limitSize: e.target.value,
@@ -226,7 +271,7 @@ function preInitialize(instance) {
             if (next) {
                 next.forEach((el) => {
                     if (!el.hasApiClickNextEventListener) {
-                        el.addEventListener("click", (e) =>
+                        addListener(table, el, "click", (e) =>
                             toPaginate({
                                 table,
                                 ...el,
@@ -242,7 +287,7 @@ function preInitialize(instance) {
             if (previous) {
                 previous.forEach((el) => {
                     if (!el.hasApiClickPreviousEventListener) {
-                        el.addEventListener("click", (e) =>
+                        addListener(table, el, "click", (e) =>
                             toPaginate({
                                 table,
                                 ...el,
@@ -251,20 +296,24 @@ function preInitialize(instance) {
                                 to: "api",
                             })
                         );
-                        previous.hasApiClickPreviousEventListener = true;
+                        el.hasApiClickPreviousEventListener = true;
                     }
                 });
             }
             if (search) {
                 search.forEach((el) => {
+                    const { trigger, delay, minChars } = getSearchTrigger(el);
                     if (!el.hasApiKeypressSearchEventListener) {
-                        el.addEventListener("keypress", (e) => {
+                        addListener(table, el, "keypress", (e) => {
                             let searchValue = e.target.value;
-                            let searchQuery = e.target.previousQuery;
+                            let searchQuery = el.previousQuery;
                             if (
                                 (e.key === "Enter" || e.keyCode === 13) &&
-                                searchQuery !== searchValue
+                                searchQuery !== searchValue &&
+                                (searchValue.length === 0 ||
+                                    searchValue.length >= minChars)
                             ) {
+                                clearTimeout(el.searchTimeoutId);
                                 toSearch({
                                     table,
                                     keyword: searchValue,
@@ -272,15 +321,17 @@ function preInitialize(instance) {
                                     instance,
                                     to: "api",
                                 });
-                                e.target.previousQuery = searchValue;
+                                el.previousQuery = searchValue;
                             }
                         });
                         el.hasApiKeypressSearchEventListener = true;
                     }
                     if (!el.hasApiInputSearchEventListener) {
-                        el.addEventListener("input", (e) => {
-                            if (e.target.value.length === 0) {
-                                e.target.previousQuery = DEFAULT.SEARCH;
+                        addListener(table, el, "input", (e) => {
+                            let searchValue = e.target.value;
+                            clearTimeout(el.searchTimeoutId);
+                            if (searchValue.length === 0) {
+                                el.previousQuery = DEFAULT.SEARCH;
                                 toSearch({
                                     table,
                                     keyword: DEFAULT.SEARCH,
@@ -288,24 +339,166 @@ function preInitialize(instance) {
                                     instance,
                                     to: "api",
                                 });
+                            } else if (trigger === "input") {
+                                // Too short a search resets it, like an empty one
+                                let keyword =
+                                    searchValue.length >= minChars
+                                        ? searchValue
+                                        : DEFAULT.SEARCH;
+                                el.searchTimeoutId = setTimeout(() => {
+                                    let previousQuery =
+                                        el.previousQuery ?? DEFAULT.SEARCH;
+                                    if (previousQuery !== keyword) {
+                                        el.previousQuery = keyword;
+                                        toSearch({
+                                            table,
+                                            keyword,
+                                            ...el,
+                                            instance,
+                                            to: "api",
+                                        });
+                                    }
+                                }, delay);
                             }
                         });
                         el.hasApiInputSearchEventListener = true;
                     }
                 });
             }
+            if (filter) {
+                filter.forEach((el) => {
+                    if (!el.hasApiFilterEventListener) {
+                        addListener(table, el, "change", (e) => {
+                            toFilter({
+                                table,
+                                filters: {
+                                    ...table.properties.filters,
+                                    [el.id || el.name]: readFilterValue(el),
+                                },
+                                ...el,
+                                controls: getFilterControls(filter),
+                                instance,
+                                to: "api",
+                            });
+                        });
+                        el.hasApiFilterEventListener = true;
+                    }
+                });
+            }
         }
     }
 }
 
+/**
+ * Clears the search elements of an api table, whose search is left out of the request of another page or limit.
+ * Filters, and the local search kept by the row store, stay across pages.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {void}
+ */
+function clearApiSearch(instance) {
+    instance.elements?.paginate?.api?.search?.forEach((el) => {
+        el.value = DEFAULT.SEARCH;
+        el.previousQuery = DEFAULT.SEARCH;
+    });
+}
+
 function processPagination(data = {}, total_rows) {
     let { limit = DEFAULT.LIMIT, page = DEFAULT.PAGE } = data;
-    page = toNumber(
-        Math.min(Math.max(1, page), Math.round(total_rows / limit)),
-        1
-    );
+    // Every row fits in the first page without a number limit
+    let pages = Number(limit) > 0 ? Math.ceil(total_rows / limit) : 1;
+    page = toNumber(Math.min(Math.max(1, page), pages), 1);
     return { ...data, limit, page };
 }
+
+/**
+ * Gets the number of rows per page of a table. Without a limit element, an api table pages by the limit of its api data.
+ * @param {HTMLElement} table - The table element.
+ * @param {string} to - The target of the pagination ("local" or "api").
+ * @param {TableJS} [instance] - The TableJS instance.
+ * @returns {number|string} - The limit, "*" for every row.
+ */
+function getPageLimit(table, to, instance) {
+    const { limit = DEFAULT.LIMIT } = table.properties;
+    if (
+        to === "api" &&
+        limit === DEFAULT.LIMIT &&
+        instance?.api?.data?.limit !== undefined
+    ) {
+        return instance.api.data.limit;
+    }
+    return limit;
+}
+
+/**
+ * Writes the page of an api table into its api data with the offset or cursor strategy of the `pagination` api option,
+ * as the limit and the offset of the first row, or as the limit and the cursor of the page. Without a limit, the limit
+ * already in the data stays, and a limit of "*" is left out. The page strategy leaves the data as it is.
+ * @param {TableJS} instance - The TableJS instance.
+ * @param {Object} data - The api data, changed in place.
+ * @param {Object} [pagination={}] - The page.
+ * @param {number} [pagination.page=1] - The page number, used by the offset strategy.
+ * @param {number|string} [pagination.limit] - The number of rows per page.
+ * @param {string} [pagination.cursor] - The cursor of the page, used by the cursor strategy. The first page has none.
+ * @returns {Object} - The api data.
+ */
+function writePagination(
+    instance,
+    data,
+    { page = DEFAULT.PAGE, limit, cursor } = {}
+) {
+    const { strategy, params } = instance.api.pagination ?? {};
+    if (strategy !== "offset" && strategy !== "cursor") {
+        return data;
+    }
+
+    if (limit !== undefined) {
+        delete data[params.limit];
+        if (Number(limit) > 0) {
+            data[params.limit] = limit;
+        }
+    }
+    switch (strategy) {
+        case "offset":
+            delete data[params.offset];
+            if (Number(data[params.limit]) > 0 && page > DEFAULT.PAGE) {
+                data[params.offset] = (page - 1) * data[params.limit];
+            }
+            break;
+        case "cursor":
+            delete data[params.cursor];
+            if (cursor) {
+                data[params.cursor] = cursor;
+            }
+            break;
+    }
+    return data;
+}
+/**
+ * Gets the trigger of a search element, from the `trigger`, `delay` and `minChars` options of the element, over the
+ * defaults of `DEFAULT.LIVE_SEARCH`.
+ * @param {HTMLElement} el - The search element.
+ * @returns {{trigger: string, delay: number, minChars: number}} - The search trigger.
+ */
+function getSearchTrigger({
+    trigger = DEFAULT.LIVE_SEARCH.trigger,
+    delay = DEFAULT.LIVE_SEARCH.delay,
+    minChars = DEFAULT.LIVE_SEARCH.minChars,
+}) {
+    trigger = validateVariable(trigger, {
+        variableName: "search.trigger",
+        $and: [{ typeOf: "string" }, { in: ["enter", "input"] }],
+    });
+    delay = validateVariable(delay, {
+        variableName: "search.delay",
+        $and: [{ execute: (n) => Number.isFinite(n) && n >= 0 }],
+    });
+    minChars = validateVariable(minChars, {
+        variableName: "search.minChars",
+        $and: [{ execute: (n) => Number.isInteger(n) && n >= 0 }],
+    });
+    return { trigger, delay, minChars };
+}
+
 /**
  * Responds to changes in table properties by updating related properties.
  *
@@ -313,8 +506,10 @@ function processPagination(data = {}, total_rows) {
  * @param {*} value - The new value of the property.
  * @returns {void}
  */
-function propertiesListener({ elements, property, value }) {
-    const { limit, search, filter } = Object.entries(elements.paginate).reduce(
+function propertiesListener({ elements, property, value, previousValue }) {
+    const { limit, search, filter } = Object.entries(
+        elements.paginate ?? {}
+    ).reduce(
         (acc, [, values]) => {
             for (const key in values) {
                 if (values.hasOwnProperty(key)) {
@@ -340,19 +535,21 @@ function propertiesListener({ elements, property, value }) {
         );
 
     switch (property) {
-        case "limit":
         case "page":
-            search.forEach((collection) => {
-                collection.forEach((el) => {
-                    el.value = DEFAULT.SEARCH;
-                });
+            emitEvent(elements.table, "pageChange", {
+                page: value,
+                previous: previousValue,
             });
-            filter.forEach((collection) => {
-                collection.forEach((el) => {
-                    el.value = DEFAULT.SEARCH;
-                });
+            break;
+        case "limit":
+            emitEvent(elements.table, "limitChange", {
+                limit: value,
+                previous: previousValue,
             });
             break;
+    }
+
+    switch (property) {
         case "sort":
             break;
         case "filter":
@@ -361,6 +558,13 @@ function propertiesListener({ elements, property, value }) {
             // limit?.forEach((limiter) => (limiter.value = DEFAULT.LIMIT));
             break;
     }
+
+    if (DEFAULT.STATE_SAVE.include.includes(property)) {
+        saveState(elements.table);
+    }
+    if (DEFAULT.URL_SYNC.include.includes(property)) {
+        syncUrl(elements.table);
+    }
 }
 
 function postInitialize(instance, isDisable = false) {
@@ -376,28 +580,43 @@ function postInitialize(instance, isDisable = false) {
     });
     paginate = validateVariable(paginate, {
         variableName: "postInitialize.paginate",
-        $and: [
-            { typeOf: "object" },
-            { execute: (object) => !Array.isArray(object) },
+        $or: [
+            { typeOf: "undefined" },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                ],
+            },
         ],
     });
     colvis = validateVariable(colvis, {
         variableName: "preInitialize.colvis",
-        $and: [
-            { typeOf: "object" },
-            { instanceOf: Element },
-            { execute: (object) => !Array.isArray(object) },
+        $or: [
+            { typeOf: "undefined" },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { instanceOf: Element },
+                    { execute: (object) => !Array.isArray(object) },
+                ],
+            },
         ],
     });
+    // The new request renders the table again
+    if (restorePendingState(instance) && instance.api?.url) {
+        return;
+    }
+    renderColumnSearch(instance);
     if (colvis) {
         toColvis({ table, ...colvis });
     }
     if (table && table.sort) {
-        toSort({ table, ...table.sort });
+        toSort({ table, ...table.sort, instance });
     }
     if (paginate) {
         if (paginate.local) {
-            const { limit, next, previous, search } = paginate.local;
+            const { limit, next, previous, search, filter } = paginate.local;
             if (limit) {
                 limit.forEach((el) => {
                     el.disabled = isDisable;
@@ -425,9 +644,15 @@ function postInitialize(instance, isDisable = false) {
                     el.disabled = isDisable;
                 });
             }
+            if (filter) {
+                filter.forEach((el) => {
+                    el.disabled = isDisable;
+                });
+            }
         }
         if (paginate.api) {
-            const { limit, next, previous, search } = paginate.api;
+            const { limit, next, previous, search, filter, more } =
+                paginate.api;
             if (limit) {
                 limit.forEach((el) => {
                     el.disabled = isDisable;
@@ -440,14 +665,18 @@ function postInitialize(instance, isDisable = false) {
                     });
                 });
             }
+            // Cursor tables can't go past the ends they were told about
+            let isCursor = instance.api?.pagination?.strategy === "cursor";
             if (next) {
                 next.forEach((el) => {
-                    el.disabled = isDisable;
+                    el.disabled =
+                        isDisable || (isCursor && !table.cursors?.next);
                 });
             }
             if (previous) {
                 previous.forEach((el) => {
-                    el.disabled = isDisable;
+                    el.disabled =
+                        isDisable || (isCursor && !table.cursors?.previous);
                 });
             }
             if (search) {
@@ -455,8 +684,23 @@ function postInitialize(instance, isDisable = false) {
                     el.disabled = isDisable;
                 });
             }
+            if (filter) {
+                filter.forEach((el) => {
+                    el.disabled = isDisable;
+                });
+            }
+            if (more) {
+                more.forEach((el) => {
+                    toMore({ table, ...el, instance });
+                    el.disabled = isDisable || el.disabled;
+                });
+            }
         }
     }
+    if (table.restoredState) {
+        applyState(instance);
+    }
+    renderPages(table);
 }
 
 /**
@@ -483,6 +727,215 @@ function renderSVG(data) {
     return svg;
 }
 
+/**
+ * Restores the state of an instance before its first initialization, from the storage of its `stateSave` option and from the
+ * URL of its `urlSync` option, the URL taking precedence. A state saved with another version or for other columns is discarded.
+ * Api tables send the restored state with their first request, local tables apply it once their rows have been rendered.
+ * The saved state of a table whose header is rendered from its data waits for the first render, see `restorePendingState`.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {Object|undefined} - The restored state, if any.
+ */
+function restoreState(instance) {
+    const { elements, stateSave, urlSync } = instance;
+    const { table } = elements;
+    if (!table || (!stateSave && !urlSync)) {
+        return;
+    }
+
+    let state = {};
+    let urlState = urlSync ? readUrlState(urlSync) : {};
+
+    if (stateSave) {
+        stateSave.checksum = getStateChecksum(table);
+
+        // Read before the first render, which saves the state again
+        let saved = readSavedState(stateSave);
+        if (saved && stateSave.checksum === undefined) {
+            stateSave.pending = { saved, urlState };
+        } else if (saved) {
+            state = filterSavedState(stateSave, saved);
+        }
+    }
+
+    return writeRestoredState(instance, { ...state, ...urlState });
+}
+
+/**
+ * Restores the saved state of an instance once the first render gave its table the header it had none of, discarding
+ * it when it was saved for other columns. Api tables request the restored state again.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {Object|undefined} - The restored state, if any.
+ */
+function restorePendingState(instance) {
+    const { elements, stateSave } = instance;
+    if (!stateSave?.pending) {
+        return;
+    }
+
+    const { saved, urlState } = stateSave.pending;
+    delete stateSave.pending;
+    stateSave.checksum = getStateChecksum(elements.table);
+
+    let state = Object.fromEntries(
+        Object.entries(filterSavedState(stateSave, saved)).filter(
+            ([key]) => !(key in urlState)
+        )
+    );
+    state = writeRestoredState(instance, state);
+    if (state) {
+        saveState(elements.table);
+        syncUrl(elements.table, "replace");
+        if (instance.api?.url) {
+            toInitialize(instance, instance.api.rendering);
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Reads the state saved by the `stateSave` option of an instance, discarding a state saved with another version.
+ * @param {Object} stateSave - The state saving options.
+ * @returns {{version: number, checksum: string, state: Object}|undefined} - The saved state, if any.
+ */
+function readSavedState(stateSave) {
+    let storage = getStateStorage(stateSave);
+    let saved;
+    try {
+        saved = JSON.parse(storage.getItem(stateSave.key));
+    } catch (error) {
+        saved = null;
+    }
+    if (
+        saved &&
+        (saved.version !== stateSave.version || typeof saved.state !== "object")
+    ) {
+        storage.removeItem(stateSave.key);
+        return;
+    }
+
+    return saved ?? undefined;
+}
+
+/**
+ * Gets the included parts of a saved state, discarding a state saved for other columns.
+ * @param {Object} stateSave - The state saving options, with the checksum of the columns of the table.
+ * @param {{version: number, checksum: string, state: Object}} saved - The saved state.
+ * @returns {Object} - The included parts of the state, empty when it was discarded.
+ */
+function filterSavedState(stateSave, saved) {
+    if (saved.checksum !== stateSave.checksum) {
+        getStateStorage(stateSave).removeItem(stateSave.key);
+        return {};
+    }
+
+    return Object.fromEntries(
+        Object.entries(saved.state ?? {}).filter(([key]) =>
+            stateSave.include.includes(key)
+        )
+    );
+}
+
+/**
+ * Writes a restored state on an instance: the hidden columns into its colvis, and the properties on its table.
+ * @param {TableJS} instance - The TableJS instance.
+ * @param {Object} state - The restored state.
+ * @returns {Object|undefined} - The restored state, undefined when it's empty.
+ */
+function writeRestoredState(instance, state) {
+    const { table, colvis } = instance.elements;
+    if (Object.keys(state).length === 0) {
+        return;
+    }
+
+    let { hide, ...properties } = state;
+
+    if (colvis && Array.isArray(hide)) {
+        colvis.hide = hide;
+        colvis.hasColumnsVisibility = true;
+    }
+    writeState(instance, properties);
+
+    // The sort stack of local tables is applied by `toSort`
+    if (!instance.api?.url) {
+        let { sorts, ...restored } = properties;
+        table.restoredState = restored;
+    }
+
+    return state;
+}
+
+/**
+ * Serializes the state of an instance saved by its `stateSave` option: the properties of the table, the sort stack and
+ * the hidden columns, limited to the included parts.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {{version: number, checksum: string, state: Object}} - The serialized state.
+ */
+function serializeState(instance) {
+    const { elements, stateSave } = instance;
+    const { table, colvis } = elements;
+    const { page, limit, search, filters, sorts } = table.properties;
+
+    return {
+        version: stateSave.version,
+        checksum: stateSave.checksum ?? getStateChecksum(table),
+        state: Object.fromEntries(
+            Object.entries({
+                page,
+                limit,
+                search,
+                filters,
+                sorts,
+                hide: colvis?.hide,
+            }).filter(
+                ([key, value]) =>
+                    stateSave.include.includes(key) && value !== undefined
+            )
+        ),
+    };
+}
+
+/**
+ * Restores the state of an instance from its URL whenever the history changes, in local and api modes.
+ * The URL parameters missing from the URL restore the default properties.
+ * @param {TableJS} instance - The TableJS instance with the `urlSync` option.
+ * @returns {void}
+ */
+function toUrlSync(instance) {
+    const { elements, urlSync } = instance;
+    const { table } = elements;
+    if (!table || !urlSync || table.hasPopstateEventListener) {
+        return;
+    }
+
+    addListener(table, window, "popstate", () => {
+        let state = Object.fromEntries(
+            Object.entries({
+                page: DEFAULT.PAGE,
+                limit: DEFAULT.LIMIT,
+                search: DEFAULT.SEARCH,
+                filters: {},
+                sorts: [],
+                ...readUrlState(urlSync),
+            }).filter(([key]) => urlSync.include.includes(key))
+        );
+
+        table.isSyncingState = true;
+        writeState(instance, state);
+        if (instance.api?.url) {
+            toInitialize(instance, instance.api.rendering);
+        } else {
+            applyState(instance, state);
+        }
+        table.isSyncingState = false;
+        syncUrl(table, "replace");
+    });
+    table.hasPopstateEventListener = true;
+
+    // The changes made while initializing replace the current entry
+    syncUrl(table, "replace");
+}
+
 /**
  * Converts a string to camelCase.
  * @param {string} str - The string to convert.
@@ -552,6 +1005,7 @@ function toColvis({ table, element, exclude = [], hide = [] }) {
     });
 
     element.innerHTML = "";
+    pruneListeners(table);
 
     let ul = element?.querySelector("ul");
 
@@ -563,10 +1017,30 @@ function toColvis({ table, element, exclude = [], hide = [] }) {
     ul.classList.add(CLASS.COLVIS.LIST);
 
     let ths = table.querySelectorAll("th");
-    let trs = table.querySelectorAll(`tbody tr`);
-
     let cols = Array.from(ths);
-    let rows = Array.from(trs);
+    // The column search row follows the visibility of the columns
+    let rows = [
+        ...getRows(table, `tbody tr`),
+        ...table.querySelectorAll(`.${CLASS.COLUMN_SEARCH.ROW}`),
+    ];
+
+    if (!Array.isArray(element.hide)) {
+        element.hide = hide;
+    }
+
+    // Columns defined as not visible start hidden, once their headers exist
+    if (!element.hasColumnsVisibility && cols.length > 0) {
+        cols.forEach((th) => {
+            if (findColumn(th)?.visible === false) {
+                element.hide.push(
+                    element.hide.every((item) => typeof item === "number")
+                        ? th.cellIndex
+                        : `[data-tjs-column="${th.dataset.tjsColumn}"]`
+                );
+            }
+        });
+        element.hasColumnsVisibility = true;
+    }
 
     cols?.forEach((th) => {
         if (
@@ -596,24 +1070,38 @@ function toColvis({ table, element, exclude = [], hide = [] }) {
         li.classList.add(CLASS.COLVIS.LIST_ITEM);
         svg.classList.add(CLASS.COLVIS.SVG);
 
-        if (
-            hide.some((item) => {
-                switch (typeof item) {
-                    case "string":
-                        return th.matches(item);
-                    case "number":
-                        return item === th.cellIndex;
-                    default:
-                        return false;
-                }
-            })
-        ) {
+        /**
+         * Checks whether an item of the hide list refers to the current column.
+         * @param {string|number} item - A selector or a column index.
+         * @returns {boolean} - True if the item matches the column.
+         */
+        let isColumn = (item) => {
+            switch (typeof item) {
+                case "string":
+                    return th.matches(item);
+                case "number":
+                    return item === th.cellIndex;
+                default:
+                    return false;
+            }
+        };
+
+        if (element.hide.some(isColumn)) {
             th.classList.add(CLASS.TH.HIDDEN);
+            th.classList.remove(CLASS.TH.VISIBLE);
             svg.style.visibility = "hidden";
             rows.forEach((row) => {
                 let tds = row.children[columnIndex];
-                tds.classList.add(CLASS.TD.HIDDEN);
-                tds.classList.remove(CLASS.TD.VISIBLE);
+                tds?.classList.add(CLASS.TD.HIDDEN);
+                tds?.classList.remove(CLASS.TD.VISIBLE);
+            });
+        } else {
+            th.classList.add(CLASS.TH.VISIBLE);
+            th.classList.remove(CLASS.TH.HIDDEN);
+            rows.forEach((row) => {
+                let tds = row.children[columnIndex];
+                tds?.classList.add(CLASS.TD.VISIBLE);
+                tds?.classList.remove(CLASS.TD.HIDDEN);
             });
         }
 
@@ -621,18 +1109,20 @@ function toColvis({ table, element, exclude = [], hide = [] }) {
         span.appendChild(thTextNode);
         li.appendChild(span);
 
-        li.addEventListener("click", () => {
+        addListener(table, li, "click", () => {
             let isThVisible = validateVisibility(th);
             if (isThVisible) {
                 th.classList.add(CLASS.TH.HIDDEN);
                 th.classList.remove(CLASS.TH.VISIBLE);
-                element.hide.push(columnIndex);
+                element.hide.push(
+                    element.hide.every((item) => typeof item === "number")
+                        ? columnIndex
+                        : `[data-tjs-column="${th.dataset.tjsColumn}"]`
+                );
             } else {
                 th.classList.add(CLASS.TH.VISIBLE);
                 th.classList.remove(CLASS.TH.HIDDEN);
-                element.hide = element.hide.filter(
-                    (item) => item !== columnIndex
-                );
+                element.hide = element.hide.filter((item) => !isColumn(item));
             }
             rows.forEach((row) => {
                 let currentRow = row.children[columnIndex];
@@ -646,6 +1136,13 @@ function toColvis({ table, element, exclude = [], hide = [] }) {
                 }
             });
             svg.style.visibility = isThVisible ? "hidden" : "visible";
+            emitEvent(table, "columnToggle", {
+                column: th.dataset.tjsColumn,
+                index: columnIndex,
+                visible: !isThVisible,
+                hide: element.hide,
+            });
+            saveState(table);
         });
 
         ul.appendChild(li);
@@ -711,6 +1208,73 @@ function toConsoleText(text, styling) {
     }
 }
 
+/**
+ * Tears down a TableJS instance: removes its listeners, unwraps the virtual container, removes the print frame,
+ * restores the markup, attributes and own properties of its elements, releases the properties proxy and clears
+ * the event handlers.
+ * @param {TableJS} instance - The TableJS instance to destroy.
+ * @returns {TableJS} The destroyed instance.
+ */
+function toDestroy(instance) {
+    const { elements = {}, snapshots = [] } = instance;
+    const { table } = elements;
+
+    table?.listeners?.forEach(({ element, type, handler, options }) =>
+        element.removeEventListener(type, handler, options)
+    );
+    Object.values(elements.paginate ?? {}).forEach(({ search }) =>
+        search?.forEach((el) => clearTimeout(el.searchTimeoutId))
+    );
+    clearTimeout(table?.columnSearchTimeoutId);
+    instance.request?.abort();
+
+    const container = table?.virtual?.container;
+    if (container?.contains(table)) {
+        container.replaceWith(table);
+    }
+
+    table?.printFrame?.remove();
+    table?.moreObserver?.disconnect();
+
+    snapshots.forEach(({ element, html, attributes, keys }) => {
+        element.innerHTML = html;
+        Array.from(element.attributes).forEach(({ name }) =>
+            element.removeAttribute(name)
+        );
+        attributes.forEach(([name, value]) =>
+            element.setAttribute(name, value)
+        );
+        Object.keys(element).forEach((key) => {
+            if (!keys.includes(key)) {
+                delete element[key];
+            }
+        });
+    });
+
+    instance.revokeProperties?.();
+    instance.events?.off();
+    instance.destroyed = true;
+
+    return instance;
+}
+
+/**
+ * Records the markup, attributes and own properties of an element, so that it can be restored by `toDestroy`.
+ * @param {Element} element - The element to record.
+ * @returns {{element: Element, html: string, attributes: Array<Array<string>>, keys: string[]}} The snapshot.
+ */
+function toSnapshot(element) {
+    return {
+        element,
+        html: element.innerHTML,
+        attributes: Array.from(element.attributes, ({ name, value }) => [
+            name,
+            value,
+        ]),
+        keys: Object.keys(element),
+    };
+}
+
 /**
  * Converts the specified table data into a CSV file for download.
  *
@@ -765,9 +1329,7 @@ function toCSV({
         variableName: "toCSV.separator",
         $or: [{ typeOf: "string" }, { in: [",", ";"] }],
     });
-    let rows = Array.from(
-        table.querySelectorAll(`tr:not(.${CLASS.TR.NO_DATA})`)
-    );
+    let rows = getRows(table, `tr:not(.${CLASS.TR.NO_DATA})`);
 
     if (!headers && rows[0]?.querySelectorAll("td").length > 1) {
         rows.shift();
@@ -781,29 +1343,12 @@ function toCSV({
                     let th = table.querySelector(
                         `thead th:nth-child(${cell.cellIndex + 1})`
                     );
-                    let isThVisible = validateVisibility(th);
-
-                    let classInExcludeArray = exclude?.some((cls) =>
-                        Array.from(th.classList).includes(cls)
-                    );
-                    let matchedInExcludeArray = exclude?.some(
-                        (item) => typeof item === "string" && th.matches(item)
-                    );
-                    let indexInExcludeArray = exclude?.some(
-                        (item) =>
-                            typeof item === "number" && th.cellIndex === item
-                    );
-
                     if (
                         th &&
-                        isThVisible &&
-                        !(
-                            classInExcludeArray ||
-                            matchedInExcludeArray ||
-                            indexInExcludeArray
-                        )
+                        validateVisibility(th) &&
+                        !validateExclusion(th, exclude, "exportable")
                     ) {
-                        let textContent = cell.textContent.trim();
+                        let textContent = getCellValue(cell).trim();
                         textContent = textContent.replace(/"/g, `""`);
                         textContent = /[",\n"]/.test(textContent)
                             ? `"${textContent}"`
@@ -825,6 +1370,11 @@ function toCSV({
         link.href = url;
         link.download = `${filename}.csv`;
         link.click();
+        emitEvent(table, "export", {
+            format: "csv",
+            filename: link.download,
+            rows: lines.length,
+        });
 
         setTimeout(() => {
             URL.revokeObjectURL(url);
@@ -877,32 +1427,17 @@ function toExcel({
         variableName: "toExcel.sheet",
         $or: [{ typeOf: "string" }, { typeOf: "number" }],
     });
-    let trs = table.querySelectorAll(`tr:not(.${CLASS.TR.NO_DATA})`);
     let ths = table.querySelectorAll("thead th");
 
     let cols = Array.from(ths);
-    let rows = Array.from(trs);
+    let rows = getRows(table, `tr:not(.${CLASS.TR.NO_DATA})`);
 
     let node = document.createElement("table");
     let nodeThead = document.createElement("thead");
     let nodeTbody = document.createElement("tbody");
 
     let excludeIndex = cols.reduce((acc, th) => {
-        if (
-            exclude.some((item) => {
-                switch (typeof item) {
-                    case "string":
-                        return (
-                            th.matches(item) ||
-                            Array.from(th.classList).includes(item)
-                        );
-                    case "number":
-                        return item === th.cellIndex;
-                    default:
-                        return false;
-                }
-            })
-        ) {
+        if (validateExclusion(th, exclude, "exportable")) {
             acc.push(th.cellIndex);
         }
         return acc;
@@ -916,7 +1451,9 @@ function toExcel({
             (td) =>
                 validateVisibility(td) && !excludeIndex.includes(td.cellIndex)
         ).forEach((td) => {
-            nodeRow.appendChild(td.cloneNode(true));
+            let nodeCell = td.cloneNode(false);
+            nodeCell.textContent = getCellValue(td);
+            nodeRow.appendChild(nodeCell);
         });
 
         if (
@@ -936,15 +1473,40 @@ function toExcel({
     let workbook = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(workbook, worksheet, sheet);
     XLSX.writeFile(workbook, filename);
+    emitEvent(table, "export", {
+        format: "excel",
+        filename,
+        rows: nodeThead.rows.length + nodeTbody.rows.length,
+    });
 }
 
+/**
+ * Filters the rows of a table with the values of the filter elements, either locally or via an API.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector to filter.
+ * @param {String} [options.to="local"] - The scope of the filter ("local" or "api").
+ * @param {HTMLElement|String} options.element - The filter element or its selector.
+ * @param {Object} options.filters - The filter values keyed by the id or name of their element, an array holding the values of a multiple choice.
+ * @param {Object<string, {column: string|number, operator: string, dateFormat: string|Function}>} [options.controls={}] - The typed filters,
+ * keyed like the values and bound to a column by its `data-tjs-column` value or index, see `createFilterPredicate`. Other values are searched in every cell.
+ * @param {Function|String|HTMLElement|Object} [options.output] - The output element or function to display pagination information. An object `{element, template, filtered, locale}` writes a template instead, see `renderOutput`.
+ * @param {Array} [options.exclude=[]] - An array of column indices or CSS selectors to exclude from the filter.
+ * @param {String} [options.format="bracket"] - How the filters are serialized into the api data in "api" mode:
+ * "bracket" sends `filter[status]=active`, "json" sends `filter={"status":"active"}` and "flat" sends `status=active`, see `serializeFilters`.
+ * @param {String} [options.param="filter"] - The parameter name used by the "bracket" and "json" formats.
+ * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
+ */
 function toFilter({
     table,
     to = "local",
     element,
     filters,
+    controls = {},
     output,
     exclude = [],
+    format = "bracket",
+    param = "filter",
     instance,
 }) {
     table = validateVariable(table, {
@@ -972,12 +1534,40 @@ function toFilter({
             { execute: (object) => !Array.isArray(object) },
         ],
     });
+    controls = validateVariable(controls, {
+        variableName: "toFilter.controls",
+        $and: [
+            { typeOf: "object" },
+            { execute: (object) => !Array.isArray(object) },
+            {
+                execute: (object) =>
+                    Object.values(object).every(
+                        ({ column, operator = "contains", dateFormat }) =>
+                            ["string", "number"].includes(typeof column) &&
+                            DEFAULT.FILTER_OPERATORS.includes(operator) &&
+                            (dateFormat === undefined ||
+                                typeof dateFormat === "function" ||
+                                ["iso", "mdy", "dmy", "ymd"].includes(
+                                    dateFormat
+                                ))
+                    ),
+            },
+        ],
+    });
     output = validateVariable(output, {
         variableName: "toFilter.output",
         $or: [
+            { typeOf: "undefined" },
             { typeOf: "function" },
             { typeOf: "string" },
             { instanceOf: Element },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    { has: ["element"] },
+                ],
+            },
         ],
     });
     exclude = validateVariable(exclude, {
@@ -993,139 +1583,374 @@ function toFilter({
             },
         ],
     });
+    format = validateVariable(format, {
+        variableName: "toFilter.format",
+        $and: [{ typeOf: "string" }, { in: ["bracket", "json", "flat"] }],
+    });
+    param = validateVariable(param, {
+        variableName: "toFilter.param",
+        $and: [{ typeOf: "string" }, { execute: (str) => str.length > 0 }],
+    });
 
+    let previousFilters = table.properties.filters ?? {};
     table.properties.filters = filters;
 
     switch (to) {
         case "local":
-            let ths = table.querySelectorAll("thead th");
-            let tbody = table.querySelector("tbody");
-            let trs = tbody.querySelectorAll(`tr`);
-            let rows = Array.from(trs);
-            let cols = Array.from(ths);
-            let rowLength = rows.length;
-
-            let dummyTds = document.createElement("td");
-            dummyTds.classList.add(CLASS.TD.BASE);
-            dummyTds.colSpan = cols.length;
-            dummyTds.textContent = DEFAULT.NO_RESULT_MESSAGE;
-
-            let dummy = document.createElement("tr");
-            dummy.classList.add(
-                CLASS.TR.DUMMY,
-                CLASS.TR.BASE,
-                CLASS.TR.VISIBLE
-            );
-            dummy.role = "row";
-
-            dummy.appendChild(dummyTds);
+            let cols = Array.from(table.querySelectorAll("thead th"));
 
             let excludeIndex = cols.reduce((acc, th) => {
-                if (
-                    exclude.some((item) => {
-                        switch (typeof item) {
-                            case "string":
-                                return (
-                                    th.matches(item) ||
-                                    Array.from(th.classList).includes(item)
-                                );
-                            case "number":
-                                return item === th.cellIndex;
-                            default:
-                                return false;
-                        }
-                    })
-                ) {
+                if (validateExclusion(th, exclude, "searchable")) {
                     acc.push(th.cellIndex);
                 }
                 return acc;
             }, []);
 
-            let searchKeyword = Object.values(filters)
-                .filter(Boolean)
-                .map((filter) => filter.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
-
-            let searchPatterns = searchKeyword.map(
-                (keyword) => new RegExp(keyword, "gi")
-            ); 
-
-            let result = rows.reduce((searched, row) => {
-                let children = row.children;
-                let tds = Array.from(children);
-                let textContents = tds
-                    .filter(
-                        (td) =>
-                            !excludeIndex.includes(td.cellIndex) &&
-                            validateVisibility(td)
+            let predicates = Object.entries(filters)
+                .filter(([, value]) => isActiveFilter(value))
+                .map(([key, value]) =>
+                    createFilterPredicate(
+                        table,
+                        value,
+                        controls[key],
+                        excludeIndex
                     )
-                    .map((td) => td.textContent);
+                )
+                .filter(Boolean);
+
+            let result = getStore(table).update({
+                filter:
+                    predicates.length > 0
+                        ? (row) =>
+                              predicates.every((predicate) => predicate(row))
+                        : undefined,
+                page: DEFAULT.PAGE,
+            });
 
-                let isSearched = searchPatterns.every((pattern) =>
-                    textContents.some((text) => {
-                        const refresh = new RegExp(pattern);
-                        return refresh.test(text);
-                    })
-                );
+            renderRows(table, result);
 
-                let isDummy = row.classList.contains(CLASS.TR.DUMMY);
-                row.classList.add(CLASS.TR.BASE);
+            let paginationInfo = toPaginationInfo(result);
 
-                if (isSearched || isDummy) {
-                    row.classList.add(CLASS.TR.VISIBLE);
-                    row.classList.remove(CLASS.TR.HIDDEN);
-                    if (isSearched) searched++;
-                } else {
-                    row.classList.add(CLASS.TR.HIDDEN);
-                    row.classList.remove(CLASS.TR.VISIBLE);
-                }
+            renderOutput(output, paginationInfo);
+            break;
+        case "api":
+            if (instance) {
+                if (instance.api) {
+                    let data = serializeFilters({
+                        data: { ...instance.api.data },
+                        filters,
+                        previousFilters,
+                        controls,
+                        format,
+                        param,
+                    });
 
-                return searched;
-            }, 0);
+                    // a filter change starts over from the first page, with the search
+                    if (table.properties.page !== DEFAULT.PAGE) {
+                        table.properties.page = DEFAULT.PAGE;
+                    }
+                    if ("page" in data) {
+                        data.page = DEFAULT.PAGE;
+                    }
+                    writePagination(instance, data);
+                    instance.api.data = data;
+                }
+                toInitialize(instance, instance?.api?.rendering);
+            }
+            break;
+    }
 
-            let dum = tbody.querySelector(`.${CLASS.TR.DUMMY}`);
+    emitEvent(table, "filter", { filters, to });
+}
 
-            if (result < 1) {
-                if (!dum) {
-                    tbody.appendChild(dummy);
-                }
-            } else {
-                dum?.remove();
+/**
+ * Writes filter values into api data, replacing the filters previously written. Typed filters are written under their
+ * column and operator, like `filter[amount][min]=10` in the "bracket" format, `filter={"amount":{"min":"10"}}` in the "json"
+ * format and `amount_min=10` in the "flat" format, with the boolean value of the "boolean" and "empty" operators.
+ * The "bracket" and "flat" formats write the values of a multiple choice under a name ending with `[]`, like
+ * `filter[city][]`, which a GET request sends once per value.
+ * @param {Object} options - The options object.
+ * @param {Object} options.data - The api data, changed in place.
+ * @param {Object} options.filters - The filter values keyed by the id or name of their element.
+ * @param {Object} [options.previousFilters={}] - The filter values previously written, removed in the "flat" format.
+ * @param {Object} [options.controls={}] - The typed filters, see `toFilter`.
+ * @param {String} [options.format="bracket"] - The format of the filters, "bracket", "json" or "flat".
+ * @param {String} [options.param="filter"] - The parameter name used by the "bracket" and "json" formats.
+ * @returns {Object} - The api data.
+ */
+function serializeFilters({
+    data,
+    filters,
+    previousFilters = {},
+    controls = {},
+    format = "bracket",
+    param = "filter",
+}) {
+    let activeFilters = Object.entries(filters)
+        .filter(([, value]) => isActiveFilter(value))
+        .map(([key, value]) => {
+            let control = controls[key];
+            if (!control) {
+                return [key, undefined, value];
             }
+            let { column, operator = "contains" } = control;
+            switch (operator) {
+                case "boolean":
+                    return [
+                        column,
+                        operator,
+                        !!parseSortValue(value, "boolean"),
+                    ];
+                case "empty":
+                    return [column, operator, value === "empty"];
+                default:
+                    return [column, operator, value];
+            }
+        });
 
-            let paginationInfo = {
-                current_page: 1,
-                total_page: 1,
-                start_item: toNumber(Math.min(result, 1)),
-                end_item: toNumber(dum ? Math.max(0, result - 1) : result),
-                total_rows: toNumber(dum ? rowLength - 1 : rowLength),
-            };
+    Object.keys(data).forEach((key) => {
+        if (key === param || key.startsWith(`${param}[`)) {
+            delete data[key];
+        }
+    });
+    if (format === "flat") {
+        Object.keys({ ...previousFilters, ...filters }).forEach((key) => {
+            let { column, operator = "contains" } = controls[key] ?? {};
+            let name = column === undefined ? key : `${column}_${operator}`;
+            delete data[name];
+            delete data[`${name}[]`];
+        });
+    }
 
-            if (typeof output !== "undefined") {
-                let outputType = typeof output;
-                if (outputType === "string" || output instanceof Element) {
-                    let placeholder = validateElement(output);
-                    placeholder.textContent = `${paginationInfo.current_page} of ${paginationInfo.total_page}`;
-                } else if (outputType === "function") {
-                    output(paginationInfo);
-                }
+    switch (format) {
+        case "bracket":
+            activeFilters.forEach(([key, operator, value]) => {
+                let name = operator
+                    ? `${param}[${key}][${operator}]`
+                    : `${param}[${key}]`;
+                data[Array.isArray(value) ? `${name}[]` : name] = value;
+            });
+            break;
+        case "json":
+            if (activeFilters.length > 0) {
+                data[param] = JSON.stringify(
+                    activeFilters.reduce((object, [key, operator, value]) => {
+                        object[key] = operator
+                            ? { ...object[key], [operator]: value }
+                            : value;
+                        return object;
+                    }, {})
+                );
             }
             break;
-        case "api":
-            // if (instance) {
-            //     if (instance.api) {
-            //         if (!instance.api.data) {
-            //             instance.api.data = {};
-            //         }
-            //         instance.api.data.search = keyword;
-            //         delete instance.api.data.limit;
-            //         delete instance.api.data.page;
-            //         if (keyword === "") {
-            //             delete instance.api.data.search;
-            //         }
-            //     }
-            //     toInitialize(instance, instance?.api?.rendering);
-            // }
+        case "flat":
+            activeFilters.forEach(([key, operator, value]) => {
+                let name = operator ? `${key}_${operator}` : key;
+                data[Array.isArray(value) ? `${name}[]` : name] = value;
+            });
+            break;
+    }
+
+    return data;
+}
+
+/**
+ * Validates whether a filter value filters anything, an empty value or choice leaving the rows as they are.
+ * @param {*} value - The filter value.
+ * @returns {boolean} - True if the value is set.
+ */
+function isActiveFilter(value) {
+    return (
+        value !== DEFAULT.FILTER &&
+        value !== undefined &&
+        value !== null &&
+        !(Array.isArray(value) && value.length === 0)
+    );
+}
+
+/**
+ * Creates the predicate of a filter value. A value without a typed filter is contained in any searchable cell, an array
+ * holding any of its values, and a typed filter compares the cell of its column with the value of its operator:
+ * "contains" contains it, "min" and "max" are number bounds, "from" and "to" are date bounds read with the `dateFormat`
+ * (see `parseSortValue`, a function returning a date or a timestamp, or the format of the sort settings of the column),
+ * "any" equals one of its values, "boolean" has the same truth and "empty" is empty for "empty" or is not for "notEmpty".
+ * A typed filter of a column the table doesn't have is reported through the "error" event.
+ * @param {HTMLElement} table - The table element.
+ * @param {string|string[]} value - The filter value.
+ * @param {{column: string|number, operator: string, dateFormat: string|Function}} [control] - The typed filter.
+ * @param {number[]} [excludeIndex=[]] - The indexes of the cells left out of a value without a typed filter.
+ * @returns {Function|undefined} - The predicate, receiving a row, or undefined for a bound that is not a number or a date,
+ * an unknown "empty" value or an unknown column, leaving the rows as they are.
+ */
+function createFilterPredicate(table, value, control, excludeIndex = []) {
+    if (!control) {
+        let patterns = [value]
+            .flat()
+            .map(
+                (item) =>
+                    new RegExp(
+                        `${item}`.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+                        "i"
+                    )
+            );
+        return (row) =>
+            getRowValues(row, excludeIndex).some((cell) =>
+                patterns.some((pattern) => pattern.test(cell))
+            );
+    }
+
+    let { column, operator = "contains", dateFormat } = control;
+    let th = Array.from(table.querySelectorAll("thead th")).find((th) =>
+        typeof column === "number"
+            ? th.cellIndex === column
+            : th.dataset.tjsColumn === column
+    );
+    if (!th) {
+        emitEvent(table, "error", {
+            error: new TableJSError(`toFilter: Unknown column "${column}"`),
+            source: "filter",
+        });
+        return;
+    }
+    let index = th.cellIndex;
+    let settings =
+        table.sort?.columns?.[th.dataset.tjsColumn] ??
+        table.sort?.columns?.[index];
+
+    /**
+     * Reads a date, with the date format of the filter or of the column.
+     * @param {string} text - The text.
+     * @returns {number|null} - The timestamp, or null when the text is not a date.
+     */
+    let parseDate = (text) => {
+        if (typeof dateFormat !== "function") {
+            return parseSortValue(text, "date", dateFormat ?? settings?.format);
+        }
+        let date = `${text}`.trim() === "" ? null : dateFormat(text);
+        return date === null || date === undefined || isNaN(+date)
+            ? null
+            : +date;
+    };
+    /**
+     * Creates the predicate of a bound.
+     * @param {Function} parse - The parser of the bound and of the cells.
+     * @param {Function} compare - The comparison of a cell with the bound.
+     * @returns {Function|undefined} - The predicate, or undefined when the bound cannot be read.
+     */
+    let bound = (parse, compare) => {
+        let limit = parse(value);
+        return limit === null
+            ? undefined
+            : (text) => {
+                  let cell = parse(text);
+                  return cell !== null && compare(cell, limit);
+              };
+    };
+
+    let parseNumber = (text) => parseSortValue(text, "number");
+
+    let test = (() => {
+        switch (operator) {
+            case "min":
+                return bound(parseNumber, (a, b) => a >= b);
+            case "max":
+                return bound(parseNumber, (a, b) => a <= b);
+            case "from":
+                return bound(parseDate, (a, b) => a >= b);
+            case "to":
+                return bound(parseDate, (a, b) => a <= b);
+            case "any":
+                let values = [value]
+                    .flat()
+                    .map((item) => normalizeText(`${item}`.trim()));
+                return (text) => values.includes(normalizeText(text.trim()));
+            case "boolean":
+                let truth = parseSortValue(value, "boolean");
+                return (text) =>
+                    (parseSortValue(text, "boolean") ?? 0) === truth;
+            case "empty":
+                return ["empty", "notEmpty"].includes(value)
+                    ? (text) => (text.trim() === "") === (value === "empty")
+                    : undefined;
+            default:
+                let expected = normalizeText(value);
+                return (text) => normalizeText(text).includes(expected);
+        }
+    })();
+
+    return test && ((row) => test(getCellValue(row.children[index])));
+}
+
+/**
+ * Gets the typed filters of filter elements bound to a column, keyed by the id or name of the elements, see `toFilter`.
+ * @param {HTMLElement[]} [elements=[]] - The filter elements, with their `column`, `operator` and `dateFormat` options.
+ * @returns {Object<string, {column: string|number, operator: string, dateFormat: string|Function}>} - The typed filters.
+ */
+function getFilterControls(elements = []) {
+    return Object.fromEntries(
+        elements
+            .filter(({ column }) => column !== undefined)
+            .map((el) => [
+                el.id || el.name,
+                {
+                    column: el.column,
+                    operator: el.operator ?? "contains",
+                    dateFormat: el.dateFormat,
+                },
+            ])
+    );
+}
+
+/**
+ * Reads the value of a filter element: the selected values of a multiple select, the value of a checked checkbox,
+ * and the values of the checked boxes within any other element.
+ * @param {HTMLElement} element - The filter element.
+ * @returns {string|string[]} - The value.
+ */
+function readFilterValue(element) {
+    switch (element.type) {
+        case "select-multiple":
+            return Array.from(element.selectedOptions, ({ value }) => value);
+        case "checkbox":
+            return element.checked ? element.value : DEFAULT.FILTER;
+        default:
+            return "value" in element
+                ? element.value
+                : Array.from(
+                      element.querySelectorAll("input:checked"),
+                      ({ value }) => value
+                  );
+    }
+}
+
+/**
+ * Writes a value into a filter element, see `readFilterValue`.
+ * @param {HTMLElement} element - The filter element.
+ * @param {string|string[]} [value=DEFAULT.FILTER] - The value.
+ * @returns {void}
+ */
+function writeFilterValue(element, value = DEFAULT.FILTER) {
+    let values = [value].flat().map(String);
+    switch (element.type) {
+        case "select-multiple":
+            Array.from(element.options).forEach((option) => {
+                option.selected = values.includes(option.value);
+            });
+            break;
+        case "checkbox":
+            element.checked =
+                value !== DEFAULT.FILTER && values.includes(element.value);
             break;
+        default:
+            if ("value" in element) {
+                element.value = value;
+            } else {
+                element
+                    .querySelectorAll("input[type=checkbox]")
+                    .forEach((input) => {
+                        input.checked = values.includes(input.value);
+                    });
+            }
     }
 }
 
@@ -1147,7 +1972,7 @@ function toNumber(value, fallback = 0) {
  * @param {Array} [options.items=DEFAULT.ITEMS] - The list of pagination limit options.
  * @param {String} [options.to] - The target scope where the pagination limit will be applied. Options: "local" or "api".
  * @param {Array} [options.exclude=[]] - The list of elements to exclude from the pagination limit.
- * @param {Function|String|HTMLElement} [options.output] - The output element or function to display pagination information.
+ * @param {Function|String|HTMLElement|Object} [options.output] - The output element or function to display pagination information. An object `{element, template, filtered, locale}` writes a template instead, see `renderOutput`.
  */
 function toLimit({
     table,
@@ -1172,6 +1997,7 @@ function toLimit({
         variableName: "toLimit.element",
         $transform: (el) => validateElement(el),
         $or: [
+            { typeOf: "undefined" },
             { typeOf: "string" },
             { instanceOf: Element },
             { typeOf: "object" },
@@ -1216,13 +2042,21 @@ function toLimit({
     output = validateVariable(output, {
         variableName: "toLimit.output",
         $or: [
+            { typeOf: "undefined" },
             { typeOf: "function" },
             { typeOf: "string" },
             { instanceOf: Element },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    { has: ["element"] },
+                ],
+            },
         ],
     });
 
-    let pagingLength = Math.round(table.properties.total_rows / limitSize);
+    let pagingLength = Math.ceil(table.properties.total_rows / limitSize);
     let currentPage = Math.min(
         Math.max(1, table.properties.page),
         pagingLength
@@ -1235,10 +2069,13 @@ function toLimit({
             ? table.properties.page
             : currentPage;
 
+    // Local tables page through their row store, api tables already hold a single page
+    let store =
+        to === "local" && !instance?.api?.url ? getStore(table) : undefined;
+
     let applyLimitation = () => {
-        let trs = table.querySelectorAll(`tbody tr:not(.${CLASS.TR.NO_DATA})`);
-        let rows = Array.from(trs);
-        let rowLength = rows.length;
+        let rows = getRows(table, `tbody tr:not(.${CLASS.TR.NO_DATA})`);
+        let rowLength = store ? store.result.matched.length : rows.length;
         let limitCount = validateVariable(limitSize, {
             $transform: rowLength,
             $fallback: (n) => {
@@ -1250,7 +2087,7 @@ function toLimit({
 
         let totalLength = table.properties.total_rows ?? rowLength;
 
-        if (rowLength > 0) {
+        if (rowLength > 0 && element) {
             element.innerHTML = "";
             let optionsCollection = new Set(
                 [...items, ...DEFAULT.ITEMS].toSorted((a, b) => a - b)
@@ -1272,59 +2109,71 @@ function toLimit({
             });
         }
 
-        let pagination = createPaginationItems(totalLength, limitCount);
-        let paginationLength = toNumber(pagingLength, pagination.length);
+        let paginationInfo;
 
-        let currentPage = Math.min(
-            Math.max(1, table.properties.page),
-            paginationLength
-        );
+        if (store) {
+            let result = store.update({
+                limit: limitSize,
+                page: table.properties.page,
+            });
+            renderRows(table, result);
+            table.properties.page = result.page;
+            paginationInfo = toPaginationInfo(result);
+        } else {
+            let pagination = createPaginationItems(totalLength, limitCount);
+            let paginationLength = toNumber(pagingLength, pagination.length);
 
-        table.properties.page = currentPage;
+            let currentPage = Math.min(
+                Math.max(1, table.properties.page),
+                paginationLength
+            );
 
-        let paginationItems = pagination[currentPage - 1] || [];
-        let paginationItemsLength = toNumber(paginationItems.length);
+            table.properties.page = currentPage;
+
+            let paginationItems = pagination[currentPage - 1] || [];
+            let paginationItemsLength = toNumber(paginationItems.length);
+
+            paginationInfo = {
+                current_page: toNumber(currentPage),
+                total_page: toNumber(paginationLength),
+                start_item: toNumber(paginationItems[0] + 1),
+                end_item: toNumber(
+                    paginationItems[paginationItemsLength - 1] + 1
+                ),
+                total_rows: toNumber(totalLength),
+                total_records: toNumber(
+                    table.properties.total_records,
+                    toNumber(totalLength)
+                ),
+            };
 
-        let paginationInfo = {
-            current_page: toNumber(currentPage),
-            total_page: toNumber(paginationLength),
-            start_item: toNumber(paginationItems[0] + 1),
-            end_item: toNumber(paginationItems[paginationItemsLength - 1] + 1),
-            total_rows: toNumber(totalLength),
-        };
+            let offset = (currentPage - 1) * limitCount;
 
-        if (typeof output !== "undefined") {
-            let outputType = typeof output;
-            if (outputType === "string" || output instanceof Element) {
-                let placeholder = validateElement(output);
-                placeholder.textContent = `${paginationInfo.current_page} of ${paginationInfo.total_page}`;
-            } else if (outputType === "function") {
-                output(paginationInfo);
-            }
-        }
+            rows.forEach((row, index) => {
+                row.classList.add(CLASS.TR.BASE);
+                if (row.index === undefined || row.index === null) {
+                    row.index = index + offset;
+                    row.dataset.index = index + offset;
+                }
+                if (row.classList.contains(CLASS.TR.DUMMY)) {
+                    row.remove();
+                }
+                if (row.classList.contains(CLASS.TR.NO_DATA)) {
+                    return;
+                }
+                if (paginationItems.includes(row.index)) {
+                    row.classList.add(CLASS.TR.VISIBLE);
+                    row.classList.remove(CLASS.TR.HIDDEN);
+                } else {
+                    row.classList.add(CLASS.TR.HIDDEN);
+                    row.classList.remove(CLASS.TR.VISIBLE);
+                }
+            });
 
-        let offset = (currentPage - 1) * limitCount;
+            renderVirtual(table);
+        }
 
-        rows.forEach((row, index) => {
-            row.classList.add(CLASS.TR.BASE);
-            if (row.index === undefined || row.index === null) {
-                row.index = index + offset;
-                row.dataset.index = index + offset;
-            }
-            if (row.classList.contains(CLASS.TR.DUMMY)) {
-                row.remove();
-            }
-            if (row.classList.contains(CLASS.TR.NO_DATA)) {
-                return;
-            }
-            if (paginationItems.includes(row.index)) {
-                row.classList.add(CLASS.TR.VISIBLE);
-                row.classList.remove(CLASS.TR.HIDDEN);
-            } else {
-                row.classList.add(CLASS.TR.HIDDEN);
-                row.classList.remove(CLASS.TR.VISIBLE);
-            }
-        });
+        renderOutput(output, paginationInfo);
     };
 
     switch (to) {
@@ -1337,25 +2186,41 @@ function toLimit({
                     if (!instance.api.data) {
                         instance.api.data = {};
                     }
-                    instance.api.data = processPagination(
-                        {
-                            ...instance.api.data,
-                            page: toNumber(table.properties.page, 1),
-                            limit: table.properties.limit,
-                        },
-                        table.properties.total_rows
-                    );
-                    delete instance.api.data.search;
-                    if (limitSize === DEFAULT.LIMIT) {
-                        table.properties.page = DEFAULT.PAGE;
-                        delete instance.api.data.page;
+                    switch (instance.api.pagination?.strategy) {
+                        case "offset":
+                        case "cursor":
+                            // A new page size starts again from the first row
+                            table.properties.page = DEFAULT.PAGE;
+                            instance.api.data = writePagination(
+                                instance,
+                                { ...instance.api.data },
+                                { limit: table.properties.limit }
+                            );
+                            break;
+                        default:
+                            instance.api.data = processPagination(
+                                {
+                                    ...instance.api.data,
+                                    page: toNumber(table.properties.page, 1),
+                                    limit: table.properties.limit,
+                                },
+                                table.properties.total_rows
+                            );
+                            if (limitSize === DEFAULT.LIMIT) {
+                                table.properties.page = DEFAULT.PAGE;
+                                delete instance.api.data.page;
+                            }
                     }
+                    delete instance.api.data.search;
+                    clearApiSearch(instance);
                 }
                 toInitialize(instance, instance?.api?.rendering);
                 applyLimitation();
             }
             break;
     }
+
+    renderPages(table);
 }
 
 /**
@@ -1363,11 +2228,19 @@ function toLimit({
  *
  * @param {Object} options - The options object.
  * @param {HTMLElement|String} options.table - The table element or its selector.
- * @param {String} options.as - The action to perform ('next' or 'previous').
+ * @param {String} options.as - The action to perform ('next', 'previous', 'first', 'last' or 'page').
+ * @param {Number} [options.page] - The page number to go to when `as` is 'page'.
  * @param {String} [options.to='local'] - The target of the pagination ('local' or 'api').
- * @param {Function|String|HTMLElement} [options.output] - The output location for pagination information.
+ * @param {Function|String|HTMLElement|Object} [options.output] - The output location for pagination information. An object `{element, template, filtered, locale}` writes a template instead, see `renderOutput`.
  */
-function toPaginate({ table, as, to = "local", output, instance }) {
+function toPaginate({
+    table,
+    as,
+    page: pageNumber,
+    to = "local",
+    output,
+    instance,
+}) {
     table = validateVariable(table, {
         variableName: "toPaginate.table",
         $transform: (element) => validateElement(element, "table"),
@@ -1379,7 +2252,17 @@ function toPaginate({ table, as, to = "local", output, instance }) {
     });
     as = validateVariable(as, {
         variableName: "toPaginate.as",
-        $and: [{ typeOf: "string" }, { in: ["next", "previous"] }],
+        $and: [
+            { typeOf: "string" },
+            { in: ["next", "previous", "first", "last", "page"] },
+        ],
+    });
+    pageNumber = validateVariable(pageNumber, {
+        variableName: "toPaginate.page",
+        $or: [
+            { execute: () => as !== "page" },
+            { execute: (n) => Number.isFinite(+n) },
+        ],
     });
     to = validateVariable(to, {
         variableName: "toPaginate.to",
@@ -1388,22 +2271,37 @@ function toPaginate({ table, as, to = "local", output, instance }) {
     output = validateVariable(output, {
         variableName: "toPaginate.output",
         $or: [
+            { typeOf: "undefined" },
             { typeOf: "function" },
             { typeOf: "string" },
             { instanceOf: Element },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    { has: ["element"] },
+                ],
+            },
         ],
     });
 
-    let trs = table.querySelectorAll(`tbody tr:not(.${CLASS.TR.NO_DATA})`);
-    let rows = Array.from(trs);
+    // Cursor pages are only known from the previous response
+    if (to === "api" && instance?.api?.pagination?.strategy === "cursor") {
+        toCursor({ table, as, output, instance });
+        return;
+    }
+
+    // Local tables page through their row store
+    let store = to === "local" ? getStore(table) : undefined;
+    let rows = getRows(table, `tbody tr:not(.${CLASS.TR.NO_DATA})`);
     let rowLength = rows.length;
 
-    const {
-        limit = DEFAULT.LIMIT,
-        page = DEFAULT.PAGE,
-        total_rows: totalLength = rowLength,
-    } = table.properties;
-    table.properties.search = DEFAULT.SEARCH;
+    const { page = DEFAULT.PAGE, total_rows: totalLength = rowLength } =
+        table.properties;
+    const limit = getPageLimit(table, to, instance);
+    if (!store) {
+        table.properties.search = DEFAULT.SEARCH;
+    }
 
     let limitCount = validateVariable(limit, {
         variableName: "toSort.local.limitCount",
@@ -1415,9 +2313,11 @@ function toPaginate({ table, as, to = "local", output, instance }) {
         $and: [{ typeOf: "string" }, { strictEquals: DEFAULT.LIMIT }],
     });
 
-    let pagingLength = Math.round(table.properties.total_rows / limitCount);
+    let pagingLength = Math.ceil(table.properties.total_rows / limitCount);
     let pagination = createPaginationItems(totalLength, limitCount);
-    let paginationLength = pagingLength || pagination.length;
+    let paginationLength = store
+        ? store.result.pages
+        : pagingLength || pagination.length;
 
     switch (as) {
         case "next":
@@ -1430,219 +2330,336 @@ function toPaginate({ table, as, to = "local", output, instance }) {
                 table.properties.page = Math.max(1, page - 1);
             }
             break;
+        case "first":
+            table.properties.page = DEFAULT.PAGE;
+            break;
+        case "last":
+            table.properties.page = Math.max(1, paginationLength);
+            break;
+        case "page":
+            table.properties.page = Math.min(
+                Math.max(1, Math.trunc(+pageNumber)),
+                Math.max(1, paginationLength)
+            );
+            break;
     }
 
-    let paginationItems = pagination[table.properties.page - 1];
-    let paginationItemsLength = paginationItems?.length;
+    let paginationInfo;
 
-    let paginationInfo = {
-        current_page: toNumber(table.properties.page),
-        total_page: toNumber(paginationLength),
-        start_item: toNumber(paginationItems[0] + 1),
-        end_item: toNumber(paginationItems[paginationItemsLength - 1] + 1),
-        total_rows: toNumber(totalLength),
-    };
+    if (store) {
+        let result = store.update({ page: table.properties.page });
+        renderRows(table, result);
+        paginationInfo = toPaginationInfo(result);
+    } else {
+        let paginationItems = pagination[table.properties.page - 1] ?? [];
+        let paginationItemsLength = paginationItems?.length;
 
-    if (typeof output !== "undefined") {
-        let outputType = typeof output;
-        if (outputType === "string" || output instanceof Element) {
-            let placeholder = validateElement(output);
-            placeholder.textContent = `${paginationInfo.current_page} of ${paginationInfo.total_page}`;
-        } else if (outputType === "function") {
-            output(paginationInfo);
-        }
+        paginationInfo = {
+            current_page: toNumber(table.properties.page),
+            total_page: toNumber(paginationLength),
+            start_item: toNumber(paginationItems[0] + 1),
+            end_item: toNumber(paginationItems[paginationItemsLength - 1] + 1),
+            total_rows: toNumber(totalLength),
+            total_records: toNumber(
+                table.properties.total_records,
+                toNumber(totalLength)
+            ),
+        };
     }
 
+    renderOutput(output, paginationInfo);
+
     switch (to) {
-        case "local":
-            rows.forEach((row) => {
-                if (
-                    paginationItems.includes(row.index) ||
-                    limit === DEFAULT.LIMIT
-                ) {
-                    row.classList.add(CLASS.TR.VISIBLE);
-                    row.classList.remove(CLASS.TR.HIDDEN);
-                } else {
-                    row.classList.add(CLASS.TR.HIDDEN);
-                    row.classList.remove(CLASS.TR.VISIBLE);
-                }
-            });
-            break;
         case "api":
             if (instance) {
                 if (instance.api) {
                     if (!instance.api.data) {
                         instance.api.data = {};
                     }
-                    instance.api.data = processPagination(
-                        {
-                            ...instance.api.data,
-                            page: toNumber(table.properties.page, 1),
-                            limit: table.properties.limit,
-                        },
-                        table.properties.total_rows
-                    );
+                    if (instance.api.pagination?.strategy === "offset") {
+                        instance.api.data = writePagination(
+                            instance,
+                            { ...instance.api.data },
+                            { page: toNumber(table.properties.page, 1) }
+                        );
+                    } else {
+                        instance.api.data = processPagination(
+                            {
+                                ...instance.api.data,
+                                page: toNumber(table.properties.page, 1),
+                                limit,
+                            },
+                            table.properties.total_rows
+                        );
+                    }
                     delete instance.api.data.search;
+                    clearApiSearch(instance);
                 }
                 toInitialize(instance, instance?.api?.rendering);
             }
             break;
     }
+
+    renderPages(table);
 }
 
-function toInitialize(instance, render) {
-    let { api, dataset, elements } = instance;
+/**
+ * Paginates an api table with the cursor strategy, sending back the next or previous cursor of the last response. The
+ * total of a cursor table is unknown, so it can only go to the next, previous and first pages, and its output only gets
+ * the current page and the first and last items, once the page has been rendered.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement} options.table - The table element.
+ * @param {String} options.as - The action to perform ('next', 'previous' or 'first').
+ * @param {Function|String|HTMLElement|Object} [options.output] - The output location for pagination information.
+ * @param {TableJS} options.instance - The TableJS instance.
+ * @returns {void}
+ */
+function toCursor({ table, as, output, instance }) {
+    const { page = DEFAULT.PAGE } = table.properties;
+    let cursor;
 
-    api = validateVariable(api, {
-        variableName: "toInitialize.api",
-        $fallback: (object) => ({
-            headers: {
-                "Content-Type": "application/json",
-            },
-            async: true,
-            timeout: DEFAULT.TIMEOUT,
-            method: DEFAULT.METHOD,
-            ...object,
-        }),
-        $and: [
+    switch (as) {
+        case "next":
+        case "previous":
+            cursor = table.cursors?.[as];
+            if (!cursor) {
+                return;
+            }
+            table.properties.page =
+                as === "next"
+                    ? toNumber(page, 1) + 1
+                    : Math.max(1, toNumber(page, 1) - 1);
+            break;
+        case "first":
+            table.properties.page = DEFAULT.PAGE;
+            break;
+        default:
+            return;
+    }
+
+    instance.api.data = writePagination(
+        instance,
+        { ...instance.api.data },
+        { cursor }
+    );
+    toInitialize(instance, instance.api.rendering);
+
+    // A failed page has nothing to show
+    instance.pending.then(
+        () => {
+            let limit = Number(
+                instance.api.data[instance.api.pagination.params.limit]
+            );
+            let rowLength = getRows(
+                table,
+                `tbody tr:not(.${CLASS.TR.NO_DATA})`
+            ).length;
+            let start = limit > 0 ? (table.properties.page - 1) * limit : 0;
+            renderOutput(output, {
+                current_page: toNumber(table.properties.page, 1),
+                start_item: toNumber(rowLength > 0 ? start + 1 : 0),
+                end_item: toNumber(start + rowLength),
+            });
+        },
+        () => {}
+    );
+}
+
+/**
+ * Loads the next page of an api table under the rows already there, from a "Load more" element and, with `observe`,
+ * whenever a sentinel row under the rows scrolls into view. It stops once the server has no more rows: no next cursor,
+ * every row of the total loaded, or an empty page.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector.
+ * @param {HTMLElement|String} options.element - The element loading the next page when clicked, disabled once there is no more.
+ * @param {Boolean} [options.observe=DEFAULT.MORE.observe] - Whether the sentinel row loads the next page when it scrolls into view.
+ * @param {String} [options.rootMargin=DEFAULT.MORE.rootMargin] - The margin around the viewport within which the sentinel row counts as in view.
+ * @param {TableJS} options.instance - The TableJS instance.
+ * @returns {void}
+ */
+function toMore({
+    table,
+    element,
+    observe = DEFAULT.MORE.observe,
+    rootMargin = DEFAULT.MORE.rootMargin,
+    instance,
+}) {
+    table = validateVariable(table, {
+        variableName: "toMore.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
             { typeOf: "object" },
-            { has: ["headers", "async", "timeout", "data", "url"] },
         ],
     });
-
-    elements = validateVariable(elements, {
-        variableName: "toInitialize.elements",
-        $and: [{ typeOf: "object" }, { has: ["table"] }],
+    element = validateVariable(element, {
+        variableName: "toMore.element",
+        $transform: (el) => validateElement(el),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    observe = validateVariable(observe, {
+        variableName: "toMore.observe",
+        $and: [{ typeOf: "boolean" }],
+    });
+    rootMargin = validateVariable(rootMargin, {
+        variableName: "toMore.rootMargin",
+        $and: [{ typeOf: "string" }],
     });
-    if (
-        (api && !!api.url && !api.init) ||
-        (api && !!api.url && (!!render || !api.init))
-    ) {
-        const ajax = new HttpRequest({
-            ...api,
-            beforeSend: () => preInitialize(instance),
-            afterSend: () =>
-                postInitialize(instance, api.init && !(api.init && render)),
-            success: (data) => {
-                switch (typeof api.rendering) {
-                    case "function":
-                        api.rendering({
-                            data,
-                            table: elements.table,
-                            instance,
-                        });
-                        return;
-                    case "object":
-                        if (!Array.isArray(api.rendering)) {
-                            let {
-                                target,
-                                method = toRender,
-                                output,
-                            } = api?.rendering;
-                            if (
-                                (typeof target === "string" ||
-                                    typeof target === "number") &&
-                                typeof method === "function"
-                            ) {
-                                let {
-                                    [target]: renderData = [],
-                                    total_rows,
-                                    ...outputData
-                                } = data;
-                                elements.table.properties.total_rows =
-                                    total_rows || renderData?.length;
 
-                                let renderType = typeof renderData;
-                                if (renderType !== "object") {
-                                    throw new TableJSError(
-                                        `toRender.data[${JSON.stringify(
-                                            target
-                                        )}] with a value ${JSON.stringify(
-                                            renderData
-                                        )}, and typeof '${renderType}' is invalid, it must be an Array[] or an Object literal '{}'`
-                                    );
-                                }
+    let rowLength = getRows(
+        table,
+        `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+    ).length;
 
-                                if (typeof render === "function") {
-                                    render({
-                                        data: renderData,
-                                        table: elements.table,
-                                        instance,
-                                    });
-                                } else if (typeof data === "object") {
-                                    method({
-                                        data: renderData,
-                                        table: elements.table,
-                                        instance,
-                                    });
-                                }
+    // The response of an appended page has been rendered
+    if (table.isAppending) {
+        table.isAppending = false;
+        if (rowLength <= table.appendedFrom) {
+            table.isExhausted = true;
+        }
+    }
 
-                                if (typeof output === "function") {
-                                    output({ total_rows, ...outputData });
-                                }
-                            }
-                        }
-                        return;
-                    default:
-                        toRender({ data, table: elements.table, instance });
-                        return;
+    element.disabled = !hasMore(table, instance);
+
+    if (!element.hasApiClickMoreEventListener) {
+        addListener(table, element, "click", () => {
+            if (!element.disabled) {
+                loadMore(table, instance);
+            }
+        });
+        element.hasApiClickMoreEventListener = true;
+    }
+
+    if (!observe || typeof IntersectionObserver === "undefined") {
+        return;
+    }
+
+    // Rendering a new response empties the table, so the sentinel goes back under the rows every time
+    let sentinel = table.moreSentinel;
+    if (!sentinel) {
+        sentinel = document.createElement("tr");
+        sentinel.classList.add(CLASS.TR.SENTINEL);
+        sentinel.setAttribute("aria-hidden", "true");
+        sentinel.isControlRow = true;
+        sentinel.appendChild(document.createElement("td"));
+        table.moreSentinel = sentinel;
+    }
+    sentinel.firstChild.colSpan = Math.max(
+        1,
+        table.querySelectorAll("thead th").length
+    );
+    let tfoot = table.querySelector("tfoot");
+    if (!tfoot) {
+        tfoot = document.createElement("tfoot");
+        table.appendChild(tfoot);
+    }
+    tfoot.appendChild(sentinel);
+
+    if (!table.moreObserver) {
+        table.moreObserver = new IntersectionObserver(
+            (entries) => {
+                if (entries.some(({ isIntersecting }) => isIntersecting)) {
+                    loadMore(table, instance);
                 }
             },
-            error: (error) => {
-                throw new TableJSError(
-                    `ƒ 'toInitialize' triggers: \n\n${error}`
-                );
-            },
-        });
-        ajax.request();
-    } else if (dataset) {
-        dataset = UTILITIES.validateVariable(dataset, {
-            variableName: "toInitialize.dataset",
-            $transform: (data) => ({ data, table: elements.table, instance }),
-            $fallback: ({ collection, rendering }) => ({
-                data: collection,
-                rendering,
-                table: elements.table,
-                instance,
-            }),
-            $and: [
-                { typeOf: "object" },
-                { instanceOf: Object },
-                { execute: (data) => Array.isArray(data) },
-            ],
-        });
+            { root: table.virtual?.container ?? null, rootMargin }
+        );
+    }
+    // Observing again reports a sentinel still in view after a short page
+    table.moreObserver.unobserve(sentinel);
+    table.moreObserver.observe(sentinel);
+}
 
-        preInitialize(instance);
-        if (typeof render === "function") {
-            render(dataset);
-        } else if (
-            dataset.rendering &&
-            typeof dataset.rendering === "function"
-        ) {
-            render = dataset.rendering;
-            delete dataset.rendering;
-            render(dataset);
-        } else {
-            toRender(dataset);
-        }
-        postInitialize(instance);
-    } else {
-        preInitialize(instance);
-        postInitialize(instance);
+/**
+ * Validates whether an api table has more rows to load under the ones already there.
+ * @param {HTMLElement} table - The table element.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {boolean} - True if the server has more rows.
+ */
+function hasMore(table, instance) {
+    if (table.isExhausted) {
+        return false;
     }
-    return instance;
+    if (instance.api?.pagination?.strategy === "cursor") {
+        return !!table.cursors?.next;
+    }
+    let rowLength = getRows(
+        table,
+        `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+    ).length;
+    let { limit = "limit" } = instance.api?.pagination?.params ?? {};
+    return (
+        Number(instance.api?.data?.[limit]) > 0 &&
+        rowLength < toNumber(table.properties.total_rows)
+    );
 }
 
 /**
- * Prints the specified table, excluding specified elements.
+ * Requests the next page of an api table, to be rendered under the rows already there.
+ * @param {HTMLElement} table - The table element.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {void}
+ */
+function loadMore(table, instance) {
+    if (table.isAppending || instance.destroyed || !hasMore(table, instance)) {
+        return;
+    }
+    const { strategy, params } =
+        instance.api.pagination ?? DEFAULT.API_PAGINATION;
+    let rowLength = getRows(
+        table,
+        `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+    ).length;
+    let data = { ...instance.api.data };
+
+    switch (strategy) {
+        case "cursor":
+            data[params.cursor] = table.cursors.next;
+            break;
+        case "offset":
+            data[params.offset] = rowLength;
+            break;
+        default:
+            data.page = toNumber(data.page, DEFAULT.PAGE) + 1;
+    }
+    instance.api.data = data;
+
+    table.isAppending = true;
+    table.appendedFrom = rowLength;
+    toInitialize(instance, instance.api.rendering);
+}
+
+/**
+ * Renders numbered page buttons into an element, with the first and last pages, the pages around the current one and
+ * ellipses between them (1 … 4 5 6 … 20), first and last buttons and a "go to page" input.
  *
  * @param {Object} options - The options object.
- * @param {HTMLElement|String} options.table - The table element or its selector to print.
- * @param {Array} [options.exclude=[]] - An array of elements to exclude from printing. Each element can be a selector string or a column index (number).
+ * @param {HTMLElement|String} options.table - The table element or its selector.
+ * @param {HTMLElement|String} options.element - The element receiving the controls.
+ * @param {String} [options.to='local'] - The target of the pagination ('local' or 'api').
+ * @param {Number} [options.siblings=DEFAULT.PAGES.siblings] - The number of pages shown on each side of the current page.
+ * @param {Number} [options.boundaries=DEFAULT.PAGES.boundaries] - The number of pages shown at both ends.
+ * @param {Boolean} [options.goTo=true] - Whether to render the "go to page" input.
+ * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
  */
-function toPrint({ table, exclude = [] }) {
+function toPages({
+    table,
+    element,
+    to = "local",
+    siblings = DEFAULT.PAGES.siblings,
+    boundaries = DEFAULT.PAGES.boundaries,
+    goTo = true,
+    instance,
+}) {
     table = validateVariable(table, {
-        variableName: "toPrint.table",
+        variableName: "toPages.table",
         $transform: (element) => validateElement(element, "table"),
         $or: [
             { typeOf: "string" },
@@ -1650,236 +2667,210 @@ function toPrint({ table, exclude = [] }) {
             { typeOf: "object" },
         ],
     });
-    exclude = validateVariable(exclude, {
-        variableName: "toPrint.exclude",
-        $and: [
-            { instanceOf: Array },
+    element = validateVariable(element, {
+        variableName: "toPages.element",
+        $transform: (el) => validateElement(el),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
             { typeOf: "object" },
-            { execute: (array) => Array.isArray(array) },
-            {
-                execute: (array) =>
-                    array.every((items) => typeof items === "number") ||
-                    array.every((items) => typeof items === "string"),
-            },
         ],
     });
+    to = validateVariable(to, {
+        variableName: "toPages.to",
+        $and: [{ typeOf: "string" }, { in: ["local", "api"] }],
+    });
+    siblings = validateVariable(siblings, {
+        variableName: "toPages.siblings",
+        $and: [{ execute: (n) => Number.isInteger(n) && n >= 0 }],
+    });
+    boundaries = validateVariable(boundaries, {
+        variableName: "toPages.boundaries",
+        $and: [{ execute: (n) => Number.isInteger(n) && n >= 0 }],
+    });
+    goTo = validateVariable(goTo, {
+        variableName: "toPages.goTo",
+        $and: [{ typeOf: "boolean" }],
+    });
 
-    let trs = table.querySelectorAll(`tr:not(.${CLASS.TR.NO_DATA})`);
-    let ths = table.querySelectorAll("thead th");
-
-    let rows = Array.from(trs);
-    let cols = Array.from(ths);
+    // Local tables count the rows matching in their row store, api tables the rows of the response
+    let store = to === "local" && !instance?.api?.url ? table.store : undefined;
+    let total = store
+        ? store.result.matched.length
+        : toNumber(
+              table.properties.total_rows,
+              getRows(table, `tbody tr:not(.${CLASS.TR.NO_DATA})`).length
+          );
+    let limit = Number(getPageLimit(table, to, instance));
+    // An empty table still has its first page
+    let pagination = createPaginationItems(total, limit > 0 ? limit : total);
+    if (pagination.length === 0) {
+        pagination = [[]];
+    }
+    let pages = pagination.length;
+    let page = Math.min(
+        Math.max(DEFAULT.PAGE, toNumber(table.properties.page, 1)),
+        pages
+    );
 
-    let node = document.createElement("table");
-    let nodeThead = document.createElement("thead");
-    let nodeTbody = document.createElement("tbody");
+    let shown = pagination
+        .map((_, index) => index + 1)
+        .filter(
+            (item) =>
+                item <= boundaries ||
+                item > pages - boundaries ||
+                Math.abs(item - page) <= siblings
+        );
 
-    let excludeIndex = cols.reduce((acc, th) => {
-        if (
-            exclude.some((item) => {
-                switch (typeof item) {
-                    case "string":
-                        return (
-                            th.matches(item) ||
-                            Array.from(th.classList).includes(item)
-                        );
-                    case "number":
-                        return item === th.cellIndex;
-                    default:
-                        return false;
-                }
-            })
-        ) {
-            acc.push(th.cellIndex);
+    // A gap of a single page shows that page in place of an ellipsis
+    let items = shown.reduce((acc, item) => {
+        let previous = acc[acc.length - 1];
+        if (typeof previous === "number" && item - previous === 2) {
+            acc.push(previous + 1);
+        } else if (typeof previous === "number" && item - previous > 2) {
+            acc.push(DEFAULT.PAGES.ellipsis);
         }
+        acc.push(item);
         return acc;
     }, []);
 
-    rows.filter((row) => validateVisibility(row)).forEach((row) => {
-        let nodeRow = document.createElement("tr");
-        let tds = Array.from(row.children);
+    /**
+     * Creates a list item holding a button moving to a page.
+     * @param {number} target - The page of the button.
+     * @param {string|number} label - The label of the button.
+     * @param {string[]} [classes=[]] - The extra classes of the button.
+     * @returns {HTMLElement} - The list item.
+     */
+    let createItem = (target, label, classes = []) => {
+        let li = document.createElement("li");
+        let button = document.createElement("button");
+        li.classList.add(CLASS.PAGES.ITEM);
+        button.type = "button";
+        button.classList.add(CLASS.PAGES.BUTTON, ...classes);
+        button.dataset.page = target;
+        button.textContent = label;
+        // The rows of the page, counted from one
+        let rows = pagination[target - 1];
+        if (rows.length > 0) {
+            button.title = `Rows ${rows[0] + 1}–${rows[rows.length - 1] + 1}`;
+        }
+        li.appendChild(button);
+        return li;
+    };
 
-        tds.filter(
-            (td) =>
-                validateVisibility(td) && !excludeIndex.includes(td.cellIndex)
-        ).forEach((td) => {
-            nodeRow.appendChild(td.cloneNode(true));
-        });
-
-        if (
-            nodeRow.firstChild &&
-            nodeRow.firstChild.tagName.toLowerCase() === "th"
-        ) {
-            nodeThead.appendChild(nodeRow);
-        } else {
-            nodeTbody.appendChild(nodeRow);
+    element.innerHTML = "";
+    element.classList.add(CLASS.PAGES.BASE);
+
+    let ul = document.createElement("ul");
+    ul.classList.add(CLASS.PAGES.LIST);
+
+    let first = createItem(1, DEFAULT.PAGES.first, [CLASS.PAGES.FIRST]);
+    first.firstChild.disabled = page <= 1;
+    first.firstChild.setAttribute("aria-label", "First page");
+    ul.appendChild(first);
+
+    items.forEach((item) => {
+        if (item === DEFAULT.PAGES.ellipsis) {
+            let li = document.createElement("li");
+            li.classList.add(CLASS.PAGES.ITEM, CLASS.PAGES.ELLIPSIS);
+            li.textContent = item;
+            ul.appendChild(li);
+            return;
+        }
+        let li = createItem(
+            item,
+            item,
+            item === page ? [CLASS.PAGES.ACTIVE] : []
+        );
+        if (item === page) {
+            li.firstChild.setAttribute("aria-current", "page");
         }
+        ul.appendChild(li);
     });
 
-    node.appendChild(nodeThead);
-    node.appendChild(nodeTbody);
-
-    let frame = document.createElement("iframe");
-    let frameId = "tjs-print-window";
-    let previousIframe = document.getElementById(frameId);
-
-    if (previousIframe) {
-        previousIframe.remove();
+    let last = createItem(pages, DEFAULT.PAGES.last, [CLASS.PAGES.LAST]);
+    last.firstChild.disabled = page >= pages;
+    last.firstChild.setAttribute("aria-label", "Last page");
+    ul.appendChild(last);
+
+    element.appendChild(ul);
+
+    if (goTo) {
+        let input = document.createElement("input");
+        input.type = "number";
+        input.min = 1;
+        input.max = pages;
+        input.value = page;
+        input.setAttribute("aria-label", "Go to page");
+        input.classList.add(CLASS.PAGES.GO_TO);
+        element.appendChild(input);
     }
 
-    frame.width = "0";
-    frame.height = "0";
-    frame.src = "about:blank";
-    frame.id = frameId;
-
-    frame.onload = () => {
-        var doc = frame.contentWindow.document;
-        doc.open();
-        doc.write("<!DOCTYPE html><html><head><title>Print</title>");
-        // Include styles from the parent document
-        var styles = document.head.querySelectorAll(
-            "style, link[rel='stylesheet']"
-        );
-        styles.forEach((style) => {
-            doc.write(style.outerHTML);
-        });
-        doc.write("</head><body>");
-        doc.write("<div>" + node.outerHTML + "</div>");
-        doc.write("</body></html>");
-        doc.close();
-
-        frame.contentWindow.focus();
-        frame.contentWindow.print();
-    };
-
-    document.body.appendChild(frame);
-}
-
-/**
- * Renders data into a table element.
- * @function toRender
- * @param {Object|Array} data - The data to render into the table. Can be an object or an array of objects.
- * @param {HTMLElement|string} table - The table element or its selector where the data will be rendered.
- * @throws {TableJSError} Throws a TableJSError if rendering fails.
- */
-function toRender({ data, table, instance }) {
-    table = validateVariable(table, {
-        variableName: "toRender.table",
-        $transform: (element) => validateElement(element, "table"),
-        $or: [
-            { typeOf: "string" },
-            { instanceOf: Element },
-            { typeOf: "object" },
-        ],
-    });
-    data = validateVariable(data, {
-        variableName: "toRender.data",
-        $and: [{ typeOf: "object" }, { instanceOf: Object }],
-    });
-    try {
-        if (data && (data.length < 1 || Object.keys(data).length < 1)) {
-            return;
-        }
-        table.innerHTML = "";
-        table.classList.add(CLASS.TABLE);
-        let thead = table.querySelector("thead");
-        if (!thead) {
-            thead = document.createElement("thead");
-            table.appendChild(thead);
-        }
-        let tbody = table.querySelector("tbody");
-        if (!tbody) {
-            tbody = document.createElement("tbody");
-            table.appendChild(tbody);
+    /**
+     * Moves the table to a page of the controls.
+     * @param {number|string} target - The page.
+     * @returns {void}
+     */
+    let navigate = (target) => {
+        if (Number.isFinite(+target) && `${target}`.trim() !== "") {
+            toPaginate({
+                table,
+                ...element,
+                as: "page",
+                page: target,
+                to,
+                instance,
+            });
         }
-        if (Array.isArray(data)) {
-            if (data.length > 0) {
-                let headerRow = document.createElement("tr");
-                headerRow.classList.add(CLASS.TR.BASE, CLASS.TR.VISIBLE);
-                // Extract keys from the first object in data array and store them in an array
-                let keys = Object.keys(data[0]);
-                // Create table headers using the extracted keys
-                keys.forEach((key) => {
-                    let headerCell = document.createElement("th");
-                    headerCell.classList.add(CLASS.TH.BASE, CLASS.TH.VISIBLE);
-                    headerCell.textContent = key
-                        .toUpperCase()
-                        .replace(/[_]{1}|[ ]{2}/g, " ");
-                    headerRow.appendChild(headerCell);
-                });
-                thead.appendChild(headerRow);
+    };
 
-                const tbodyFragment = new DocumentFragment();
-                // Populate table body with data
-                data.forEach((item, index) => {
-                    let row = document.createElement("tr");
-                    if (row.index === undefined || row.index === null) {
-                        row.dataset.index = index;
-                        row.index = index;
-                    }
-                    keys.forEach((key) => {
-                        let cell = document.createElement("td");
-                        cell.classList.add(CLASS.TD.BASE, CLASS.TD.VISIBLE);
-                        cell.textContent =
-                            item[key] !== undefined ? item[key] : ""; // Handle missing keys
-                        row.appendChild(cell);
-                    });
-                    tbodyFragment.appendChild(row);
-                });
-                tbody.appendChild(tbodyFragment);
+    if (!element.hasPagesClickEventListener) {
+        addListener(table, element, "click", (e) => {
+            let button = e.target.closest(`.${CLASS.PAGES.BUTTON}`);
+            if (button && !button.disabled) {
+                navigate(button.dataset.page);
             }
-        } else if (typeof data === "object") {
-            let headerRow = document.createElement("tr");
-            headerRow.classList.add(CLASS.TR.BASE, CLASS.TR.VISIBLE);
-            Object.keys(data).forEach((key) => {
-                let headerCell = document.createElement("th");
-                headerCell.classList.add(CLASS.TH.BASE, CLASS.TH.VISIBLE);
-                // headerCell.textContent = key.replace(/([A-Z])/g, " $1").replace(/^./, (str) => str.toUpperCase());
-                headerCell.textContent = key
-                    .replace(/[a-z]/g, (str) => str.toUpperCase())
-                    .replace(/[_]{1}|[ ]{2}/g, " ");
-                headerRow.appendChild(headerCell);
-            });
-            thead.appendChild(headerRow);
-            let row = document.createElement("tr");
-            Object.values(data).forEach((value) => {
-                let cell = document.createElement("td");
-                cell.classList.add(CLASS.TD.BASE, CLASS.TD.VISIBLE);
-                cell.textContent = value;
-                row.appendChild(cell);
-            });
-            tbody.appendChild(row);
-        }
-    } catch (e) {
-        throw new TableJSError(`toRender: Rendering failed, ${e.message}`);
+        });
+        element.hasPagesClickEventListener = true;
+    }
+    if (!element.hasPagesChangeEventListener) {
+        addListener(table, element, "change", (e) => {
+            if (e.target.classList.contains(CLASS.PAGES.GO_TO)) {
+                navigate(e.target.value);
+            }
+        });
+        element.hasPagesChangeEventListener = true;
     }
-
-    return instance;
 }
 
 /**
- * Searches for a keyword within a table or specified element and updates the visibility of matching rows.
+ * Exports the specified table to a paginated PDF file, excluding specified elements.
+ * The document is generated in the browser with the standard Helvetica fonts, and the header row is repeated on every page.
  *
- * @param {object} options - An object containing search parameters.
- * @param {HTMLElement|object|string} options.table - The table element or object with a proxy property representing the table.
- * @param {string} [options.to="local"] - The scope of the search ("local" for within the table or "api" for an external API).
- * @param {HTMLElement|object|string} options.element - The specific element to search within (applicable when `to` is "local").
- * @param {string} options.keyword - The keyword to search for within the table.
- * @param {function|string|HTMLElement} options.output - The output destination for search results.
- * @param {Array<number|string>} [options.exclude=[]] - An array of column indices or CSS selectors to exclude from the search.
- * @returns {void}
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector to export.
+ * @param {Boolean} [options.headers=true] - Specifies whether to include table headers in the PDF file.
+ * @param {Array} [options.exclude=[]] - An array of elements to exclude from the export. Each element can be a selector string or a column index (number).
+ * @param {String|Number} [options.filename="export"] - The filename for the downloaded PDF file.
+ * @param {String} [options.orientation="portrait"] - The page orientation ('portrait' or 'landscape').
+ * @param {String} [options.size="a4"] - The page size, one of the keys of DEFAULT.PDF_SIZES.
+ * @param {String} [options.title] - An optional title printed above the table on the first page.
+ * @param {Number} [options.fontSize=9] - The font size of the table cells in points.
+ * @param {Number} [options.margin=36] - The page margin in points.
  */
-function toSearch({
+function toPDF({
     table,
-    to = "local",
-    element,
-    keyword,
-    output,
+    headers = true,
     exclude = [],
-    instance,
+    filename = "export",
+    orientation = "portrait",
+    size = "a4",
+    title,
+    fontSize = 9,
+    margin = 36,
 }) {
     table = validateVariable(table, {
-        variableName: "toSearch.table",
+        variableName: "toPDF.table",
         $transform: (element) => validateElement(element, "table"),
         $or: [
             { typeOf: "string" },
@@ -1887,29 +2878,16 @@ function toSearch({
             { typeOf: "object" },
         ],
     });
-    element = validateVariable(element, {
-        variableName: "toSearch.element",
-        $transform: (el) => validateElement(el),
-        $or: [
-            { typeOf: "string" },
-            { instanceOf: Element },
-            { typeOf: "object" },
-        ],
-    });
-    keyword = validateVariable(keyword, {
-        variableName: "toSearch.keyword",
-        $and: [{ typeOf: "string" }],
-    });
-    output = validateVariable(output, {
-        variableName: "toSearch.output",
+    headers = validateVariable(headers, {
+        variableName: "toPDF.headers",
         $or: [
-            { typeOf: "function" },
-            { typeOf: "string" },
-            { instanceOf: Element },
+            { typeOf: "boolean" },
+            { strictEquals: true },
+            { strictEquals: false },
         ],
     });
     exclude = validateVariable(exclude, {
-        variableName: "toSearch.exclude",
+        variableName: "toPDF.exclude",
         $and: [
             { instanceOf: Array },
             { typeOf: "object" },
@@ -1921,335 +2899,3341 @@ function toSearch({
             },
         ],
     });
+    filename = validateVariable(filename, {
+        variableName: "toPDF.filename",
+        $transform: (name) => `${name}.pdf`,
+        $or: [{ typeOf: "string" }, { typeOf: "number" }],
+    });
+    orientation = validateVariable(orientation, {
+        variableName: "toPDF.orientation",
+        $and: [{ typeOf: "string" }, { in: ["portrait", "landscape"] }],
+    });
+    size = validateVariable(size, {
+        variableName: "toPDF.size",
+        $transform: (key) => key.toLowerCase(),
+        $and: [
+            { typeOf: "string" },
+            {
+                execute: (key) =>
+                    Object.hasOwn(DEFAULT.PDF_SIZES, key.toLowerCase()),
+            },
+        ],
+    });
+    title = validateVariable(title, {
+        variableName: "toPDF.title",
+        $or: [
+            { typeOf: "undefined" },
+            { typeOf: "string" },
+            { typeOf: "number" },
+        ],
+    });
+    fontSize = validateVariable(fontSize, {
+        variableName: "toPDF.fontSize",
+        $and: [{ typeOf: "number" }, { execute: (n) => n > 0 }],
+    });
+    margin = validateVariable(margin, {
+        variableName: "toPDF.margin",
+        $and: [{ typeOf: "number" }, { execute: (n) => n >= 0 }],
+    });
 
-    table.properties.search = keyword;
-    table.properties.limit = DEFAULT.LIMIT;
-    table.properties.page = DEFAULT.PAGE;
+    let ths = table.querySelectorAll("thead th");
+
+    let cols = Array.from(ths);
+    let rows = getRows(
+        table,
+        `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+    );
+
+    let excludeIndex = cols.reduce((acc, th) => {
+        if (
+            !validateVisibility(th) ||
+            validateExclusion(th, exclude, "exportable")
+        ) {
+            acc.push(th.cellIndex);
+        }
+        return acc;
+    }, []);
+
+    let heading = cols
+        .filter((th) => !excludeIndex.includes(th.cellIndex))
+        .map((th) => th.textContent.trim());
+
+    let body = rows
+        .filter((row) => validateVisibility(row))
+        .map((row) =>
+            Array.from(row.children)
+                .filter(
+                    (td) =>
+                        validateVisibility(td) &&
+                        !excludeIndex.includes(td.cellIndex)
+                )
+                .map((td) => getCellValue(td).trim())
+        );
+
+    /**
+     * Maps a string into single byte characters of the WinAnsi encoding used by the standard fonts.
+     * @param {string} text - The text to encode.
+     * @returns {string} - The encoded text, unsupported characters are replaced by '?'.
+     */
+    let encodeText = (text) => {
+        const WIN_ANSI = {
+            "€": 0x80,
+            "‚": 0x82,
+            "„": 0x84,
+            "…": 0x85,
+            "‘": 0x91,
+            "’": 0x92,
+            "“": 0x93,
+            "”": 0x94,
+            "•": 0x95,
+            "–": 0x96,
+            "—": 0x97,
+            "™": 0x99,
+        };
+        return Array.from(String(text).normalize("NFC"))
+            .map((char) => {
+                let code = char.charCodeAt(0);
+                if (char in WIN_ANSI) {
+                    return String.fromCharCode(WIN_ANSI[char]);
+                }
+                if (code < 0x20) return " ";
+                if (code > 0xff || (code >= 0x7f && code < 0xa0)) return "?";
+                return char;
+            })
+            .join("");
+    };
+
+    /**
+     * Estimates the width of a text in points for the Helvetica font family.
+     * @param {string} text - The encoded text to measure.
+     * @param {number} points - The font size.
+     * @param {boolean} [bold=false] - Whether the bold variant is used.
+     * @returns {number} - The estimated text width.
+     */
+    let measureText = (text, points, bold = false) => {
+        let units = Array.from(text).reduce((width, char) => {
+            if (/[il.,:;|!'`\s]/.test(char)) return width + 0.28;
+            if (/[mwMW@%]/.test(char)) return width + 0.85;
+            if (/[A-Z0-9#$&]/.test(char)) return width + 0.64;
+            return width + 0.52;
+        }, 0);
+        return units * points * (bold ? 1.06 : 1);
+    };
+
+    /**
+     * Truncates a text with an ellipsis so it fits in the given width.
+     * @param {string} text - The encoded text to fit.
+     * @param {number} width - The available width in points.
+     * @param {boolean} [bold=false] - Whether the bold variant is used.
+     * @returns {string} - The fitted text.
+     */
+    let fitText = (text, width, bold = false) => {
+        if (measureText(text, fontSize, bold) <= width) return text;
+        let fitted = text;
+        while (
+            fitted.length > 0 &&
+            measureText(`${fitted}...`, fontSize, bold) > width
+        ) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}...`;
+    };
+
+    /**
+     * Escapes a PDF literal string.
+     * @param {string} text - The encoded text to escape.
+     * @returns {string} - The escaped text.
+     */
+    let escapeText = (text) => text.replace(/([\\()])/g, "\\$1");
+
+    let [pageWidth, pageHeight] = DEFAULT.PDF_SIZES[size];
+    if (orientation === "landscape") {
+        [pageWidth, pageHeight] = [pageHeight, pageWidth];
+    }
+
+    let padding = fontSize * 0.5;
+    let rowHeight = fontSize * 1.8;
+    let usableWidth = pageWidth - margin * 2;
+    let columnLength = Math.max(
+        heading.length,
+        ...body.map((cells) => cells.length)
+    );
+
+    let encodedHeading = heading.map(encodeText);
+    let encodedBody = body.map((cells) => cells.map(encodeText));
+
+    let naturalWidths = Array.from({ length: columnLength }, (_, index) =>
+        Math.max(
+            fontSize * 2,
+            headers
+                ? measureText(encodedHeading[index] ?? "", fontSize, true)
+                : 0,
+            ...encodedBody.map((cells) =>
+                measureText(cells[index] ?? "", fontSize)
+            )
+        ) +
+        padding * 2
+    );
+    let naturalWidth = naturalWidths.reduce((sum, width) => sum + width, 0);
+    let widths = naturalWidths.map(
+        (width) => (width / (naturalWidth || 1)) * usableWidth
+    );
+
+    let titleHeight = title !== undefined ? fontSize * 3 : 0;
+    let footerHeight = fontSize * 2.5;
+    let bodyHeight = pageHeight - margin * 2 - footerHeight;
+    let headerHeight = headers ? rowHeight : 0;
+    let firstPageRows = Math.max(
+        1,
+        Math.floor((bodyHeight - titleHeight - headerHeight) / rowHeight)
+    );
+    let pageRows = Math.max(
+        1,
+        Math.floor((bodyHeight - headerHeight) / rowHeight)
+    );
+
+    let pages = [encodedBody.slice(0, firstPageRows)];
+    for (let i = firstPageRows; i < encodedBody.length; i += pageRows) {
+        pages.push(encodedBody.slice(i, i + pageRows));
+    }
+
+    /**
+     * Writes a single table row into a content stream.
+     * @param {string[]} cells - The encoded cell values.
+     * @param {number} top - The top position of the row.
+     * @param {boolean} [bold=false] - Whether the row is a header row.
+     * @returns {string} - The content stream operators of the row.
+     */
+    let writeRow = (cells, top, bold = false) => {
+        let x = margin;
+        let baseline = top - rowHeight + (rowHeight - fontSize) / 2 + 1;
+        let operators = [];
+        if (bold) {
+            operators.push(
+                `0.93 g ${margin} ${(top - rowHeight).toFixed(2)} ${usableWidth.toFixed(2)} ${rowHeight.toFixed(2)} re f 0 g`
+            );
+        }
+        widths.forEach((width, index) => {
+            let text = fitText(cells[index] ?? "", width - padding * 2, bold);
+            operators.push(
+                `BT /${bold ? "F2" : "F1"} ${fontSize} Tf ${(x + padding).toFixed(2)} ${baseline.toFixed(2)} Td (${escapeText(text)}) Tj ET`
+            );
+            x += width;
+        });
+        operators.push(
+            `0.8 G 0.5 w ${margin} ${(top - rowHeight).toFixed(2)} m ${(margin + usableWidth).toFixed(2)} ${(top - rowHeight).toFixed(2)} l S 0 G`
+        );
+        return operators.join("\n");
+    };
+
+    let streams = pages.map((pageBody, pageIndex) => {
+        let top = pageHeight - margin;
+        let operators = [];
+        if (pageIndex === 0 && title !== undefined) {
+            operators.push(
+                `BT /F2 ${fontSize * 1.6} Tf ${margin} ${(top - fontSize * 1.6).toFixed(2)} Td (${escapeText(encodeText(title))}) Tj ET`
+            );
+            top -= titleHeight;
+        }
+        if (headers) {
+            operators.push(writeRow(encodedHeading, top, true));
+            top -= rowHeight;
+        }
+        pageBody.forEach((cells) => {
+            operators.push(writeRow(cells, top));
+            top -= rowHeight;
+        });
+        let footer = `Page ${pageIndex + 1} of ${pages.length}`;
+        operators.push(
+            `BT /F1 ${fontSize * 0.9} Tf ${(
+                (pageWidth - measureText(footer, fontSize * 0.9)) /
+                2
+            ).toFixed(2)} ${(margin / 2 + fontSize).toFixed(2)} Td (${footer}) Tj ET`
+        );
+        return operators.join("\n");
+    });
+
+    let objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        `<< /Type /Pages /Kids [${pages
+            .map((_, index) => `${5 + index * 2} 0 R`)
+            .join(" ")}] /Count ${pages.length} >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    ];
+    streams.forEach((stream, index) => {
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+                6 + index * 2
+            } 0 R >>`,
+            `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+        );
+    });
+
+    let source = "%PDF-1.4\n";
+    let offsets = objects.map((object, index) => {
+        let offset = source.length;
+        source += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    let xref = source.length;
+    source += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    source += offsets
+        .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+        .join("");
+    source += `trailer\n<< /Size ${
+        objects.length + 1
+    } /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+    let bytes = Uint8Array.from(source, (char) => char.charCodeAt(0));
+    let blob = new Blob([bytes], { type: "application/pdf" });
+    let url = URL.createObjectURL(blob);
+    let link = document.createElement("a");
+
+    if (url) {
+        link.href = url;
+        link.download = filename;
+        link.click();
+        emitEvent(table, "export", {
+            format: "pdf",
+            filename,
+            rows: body.length + (headers ? 1 : 0),
+        });
+
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 500);
+    }
+}
+
+function toInitialize(instance, render) {
+    let { api, dataset, elements } = instance;
+
+    // A newer request replaces the one in flight, so that a stale response never renders over it
+    if (instance.request?.abort() && instance.request.isAppending) {
+        elements.table.isAppending = false;
+    }
+
+    // Load more tables start over from the first page, unless they append the next one
+    if (
+        elements?.paginate?.api?.more &&
+        api?.data &&
+        !elements.table.isAppending
+    ) {
+        const { params } = api.pagination ?? DEFAULT.API_PAGINATION;
+        delete api.data.page;
+        delete api.data[params.offset];
+        delete api.data[params.cursor];
+        elements.table.isExhausted = false;
+    }
+
+    api = validateVariable(api, {
+        variableName: "toInitialize.api",
+        $fallback: (object) => ({
+            async: true,
+            timeout: DEFAULT.TIMEOUT,
+            method: DEFAULT.METHOD,
+            ...object,
+            headers: { ...DEFAULT.HEADERS, ...object?.headers },
+        }),
+        $and: [
+            { typeOf: "object" },
+            { has: ["headers", "async", "timeout", "data", "url"] },
+        ],
+    });
+    if (api) {
+        api = { ...api, headers: { ...DEFAULT.HEADERS, ...api.headers } };
+    }
+
+    elements = validateVariable(elements, {
+        variableName: "toInitialize.elements",
+        $and: [{ typeOf: "object" }, { has: ["table"] }],
+    });
+    if (
+        (api && !!api.url && !api.init) ||
+        (api && !!api.url && (!!render || !api.init))
+    ) {
+        let response;
+        let failure;
+        const ajax = new HttpRequest({
+            ...api,
+            beforeSend: () => {
+                if (instance.destroyed) {
+                    return;
+                }
+                emitEvent(elements.table, "beforeRequest", {
+                    url: api.url,
+                    method: api.method,
+                    data: api.data,
+                    headers: api.headers,
+                });
+                preInitialize(instance);
+            },
+            afterSend: () => {
+                // A newer request in flight has the controls and the events
+                if (instance.destroyed || ajax.aborted) {
+                    return;
+                }
+                postInitialize(instance, api.init && !(api.init && render));
+                emitEvent(elements.table, "afterRequest", {
+                    url: api.url,
+                    method: api.method,
+                    data: api.data,
+                    response,
+                    error: failure,
+                });
+            },
+            success: (data) => {
+                if (instance.destroyed) {
+                    return;
+                }
+                response = data;
+                if (api.pagination?.strategy === "cursor") {
+                    let { next, previous } = api.pagination.cursors;
+                    elements.table.cursors = {
+                        next: resolvePath(data, next),
+                        previous: resolvePath(data, previous),
+                    };
+                }
+                switch (typeof api.rendering) {
+                    case "function":
+                        api.rendering({
+                            data,
+                            table: elements.table,
+                            instance,
+                        });
+                        emitEvent(elements.table, "render", { data });
+                        return;
+                    case "object":
+                        if (!Array.isArray(api.rendering)) {
+                            let {
+                                target,
+                                method = toRender,
+                                output,
+                            } = api?.rendering;
+                            if (
+                                (typeof target === "string" ||
+                                    typeof target === "number") &&
+                                typeof method === "function"
+                            ) {
+                                let {
+                                    [target]: renderData = [],
+                                    total_rows,
+                                    ...outputData
+                                } = data;
+                                elements.table.properties.total_rows =
+                                    total_rows || renderData?.length;
+                                elements.table.properties.total_records =
+                                    outputData.total_records ||
+                                    elements.table.properties.total_rows;
+
+                                let renderType = typeof renderData;
+                                if (renderType !== "object") {
+                                    throw new TableJSError(
+                                        `toRender.data[${JSON.stringify(
+                                            target
+                                        )}] with a value ${JSON.stringify(
+                                            renderData
+                                        )}, and typeof '${renderType}' is invalid, it must be an Array[] or an Object literal '{}'`
+                                    );
+                                }
+
+                                if (typeof render === "function") {
+                                    render({
+                                        data: renderData,
+                                        table: elements.table,
+                                        instance,
+                                    });
+                                } else if (typeof data === "object") {
+                                    method({
+                                        data: renderData,
+                                        table: elements.table,
+                                        instance,
+                                    });
+                                }
+
+                                if (typeof output === "function") {
+                                    output({ total_rows, ...outputData });
+                                }
+                            }
+                        }
+                        return;
+                    default:
+                        toRender({ data, table: elements.table, instance });
+                        return;
+                }
+            },
+            error: (error) => {
+                failure = error;
+                emitEvent(elements.table, "error", {
+                    error,
+                    source: "request",
+                });
+            },
+        });
+        ajax.isAppending = elements.table.isAppending === true;
+        instance.request = ajax;
+        instance.pending = ajax.request();
+        // Only a caller awaiting the page gets the rejection
+        instance.pending.catch(() => {});
+    } else if (dataset) {
+        dataset = UTILITIES.validateVariable(dataset, {
+            variableName: "toInitialize.dataset",
+            $transform: (data) => ({ data, table: elements.table, instance }),
+            $fallback: ({ collection, rendering }) => ({
+                data: collection,
+                rendering,
+                table: elements.table,
+                instance,
+            }),
+            $and: [
+                { typeOf: "object" },
+                { instanceOf: Object },
+                { execute: (data) => Array.isArray(data) },
+            ],
+        });
+
+        preInitialize(instance);
+        if (typeof render === "function") {
+            render(dataset);
+        } else if (
+            dataset.rendering &&
+            typeof dataset.rendering === "function"
+        ) {
+            render = dataset.rendering;
+            delete dataset.rendering;
+            render(dataset);
+        } else {
+            toRender(dataset);
+        }
+        postInitialize(instance);
+        instance.pending = Promise.resolve(instance);
+    } else {
+        preInitialize(instance);
+        postInitialize(instance);
+        instance.pending = Promise.resolve(instance);
+    }
+    return instance;
+}
+
+/**
+ * Moves the table of an instance to another page, reusing the paginate elements of the instance for the output.
+ *
+ * @param {Object} options - The options object.
+ * @param {TableJS} options.instance - The TableJS instance to paginate.
+ * @param {String} options.as - The action to perform ('next', 'previous', 'first', 'last' or 'page').
+ * @param {Number} [options.page] - The page number to go to when `as` is 'page'.
+ * @returns {Promise<TableJS>} A promise that resolves with the instance once the page has been rendered.
+ */
+function toNavigate({ instance, as, page }) {
+    let { table, paginate } = instance.elements;
+    let to = instance.api?.url ? "api" : "local";
+    let [element = {}] = [
+        ...(paginate?.[to]?.next ?? []),
+        ...(paginate?.[to]?.previous ?? []),
+    ];
+
+    toPaginate({ table, ...element, as, page, to, instance });
+
+    return to === "api"
+        ? instance.pending.then(() => instance)
+        : Promise.resolve(instance);
+}
+
+/**
+ * Prints the specified table, excluding specified elements.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector to print.
+ * @param {Array} [options.exclude=[]] - An array of elements to exclude from printing. Each element can be a selector string or a column index (number).
+ */
+function toPrint({ table, exclude = [] }) {
+    table = validateVariable(table, {
+        variableName: "toPrint.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    exclude = validateVariable(exclude, {
+        variableName: "toPrint.exclude",
+        $and: [
+            { instanceOf: Array },
+            { typeOf: "object" },
+            { execute: (array) => Array.isArray(array) },
+            {
+                execute: (array) =>
+                    array.every((items) => typeof items === "number") ||
+                    array.every((items) => typeof items === "string"),
+            },
+        ],
+    });
+
+    let ths = table.querySelectorAll("thead th");
+
+    let rows = getRows(table, `tr:not(.${CLASS.TR.NO_DATA})`);
+    let cols = Array.from(ths);
+
+    let node = document.createElement("table");
+    let nodeThead = document.createElement("thead");
+    let nodeTbody = document.createElement("tbody");
+
+    let excludeIndex = cols.reduce((acc, th) => {
+        if (validateExclusion(th, exclude, "exportable")) {
+            acc.push(th.cellIndex);
+        }
+        return acc;
+    }, []);
+
+    rows.filter((row) => validateVisibility(row)).forEach((row) => {
+        let nodeRow = document.createElement("tr");
+        let tds = Array.from(row.children);
+
+        tds.filter(
+            (td) =>
+                validateVisibility(td) && !excludeIndex.includes(td.cellIndex)
+        ).forEach((td) => {
+            nodeRow.appendChild(td.cloneNode(true));
+        });
+
+        if (
+            nodeRow.firstChild &&
+            nodeRow.firstChild.tagName.toLowerCase() === "th"
+        ) {
+            nodeThead.appendChild(nodeRow);
+        } else {
+            nodeTbody.appendChild(nodeRow);
+        }
+    });
+
+    node.appendChild(nodeThead);
+    node.appendChild(nodeTbody);
+
+    let frame = document.createElement("iframe");
+    let frameId = "tjs-print-window";
+    let previousIframe = document.getElementById(frameId);
+
+    if (previousIframe) {
+        previousIframe.remove();
+    }
+
+    frame.width = "0";
+    frame.height = "0";
+    frame.src = "about:blank";
+    frame.id = frameId;
+
+    frame.onload = () => {
+        var doc = frame.contentWindow.document;
+        doc.open();
+        doc.write("<!DOCTYPE html><html><head><title>Print</title>");
+        // Include styles from the parent document
+        var styles = document.head.querySelectorAll(
+            "style, link[rel='stylesheet']"
+        );
+        styles.forEach((style) => {
+            doc.write(style.outerHTML);
+        });
+        doc.write("</head><body>");
+        doc.write("<div>" + node.outerHTML + "</div>");
+        doc.write("</body></html>");
+        doc.close();
+
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        emitEvent(table, "export", {
+            format: "print",
+            rows: nodeThead.rows.length + nodeTbody.rows.length,
+        });
+    };
+
+    table.printFrame = frame;
+    document.body.appendChild(frame);
+}
+
+/**
+ * Renders data into a table element.
+ * @function toRender
+ * @param {Object|Array} data - The data to render into the table. Can be an object or an array of objects.
+ * @param {HTMLElement|string} table - The table element or its selector where the data will be rendered.
+ * @throws {TableJSError} Throws a TableJSError if rendering fails.
+ */
+function toRender({ data, table, instance }) {
+    table = validateVariable(table, {
+        variableName: "toRender.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    data = validateVariable(data, {
+        variableName: "toRender.data",
+        $and: [{ typeOf: "object" }, { instanceOf: Object }],
+    });
+    // Load more renders the next page under the rows already there
+    let append =
+        table.isAppending === true && Array.isArray(data) && !!table.tHead;
+    try {
+        if (data && (data.length < 1 || Object.keys(data).length < 1)) {
+            return;
+        }
+        if (!append) {
+            // The column search row stays, so that its control being typed in keeps the focus
+            let kept = table.columnSearchRow;
+            if (kept?.parentElement === table.tHead) {
+                Array.from(table.childNodes).forEach(
+                    (node) => node !== table.tHead && node.remove()
+                );
+                Array.from(table.tHead.rows).forEach(
+                    (row) => row !== kept && row.remove()
+                );
+            } else {
+                table.innerHTML = "";
+            }
+            pruneListeners(table);
+        }
+        table.classList.add(CLASS.TABLE);
+        if (table.virtual && !append) {
+            table.virtual.rows = [];
+        }
+        let thead = table.querySelector("thead");
+        if (!thead) {
+            thead = document.createElement("thead");
+            table.appendChild(thead);
+        }
+        let tbody = table.querySelector("tbody");
+        if (!tbody) {
+            tbody = document.createElement("tbody");
+            table.appendChild(tbody);
+        }
+        if (Array.isArray(data)) {
+            if (data.length > 0) {
+                let offset = append
+                    ? getRows(
+                          table,
+                          `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+                      ).length
+                    : 0;
+                let headerRow = document.createElement("tr");
+                headerRow.classList.add(CLASS.TR.BASE, CLASS.TR.VISIBLE);
+                // Use the column definitions, or the keys of the first object in data array
+                let columns =
+                    table.columns ??
+                    Object.keys(data[0]).map((key) => ({ key }));
+                // Create table headers using the columns
+                columns.forEach(({ key, label, width, align, visible }) => {
+                    if (append) {
+                        return;
+                    }
+                    let headerCell = document.createElement("th");
+                    headerCell.classList.add(
+                        CLASS.TH.BASE,
+                        visible === false ? CLASS.TH.HIDDEN : CLASS.TH.VISIBLE
+                    );
+                    headerCell.dataset.tjsColumn = key;
+                    headerCell.textContent =
+                        label ??
+                        `${key}`.toUpperCase().replace(/[_]{1}|[ ]{2}/g, " ");
+                    if (width !== undefined) {
+                        headerCell.style.width =
+                            typeof width === "number" ? `${width}px` : width;
+                    }
+                    if (align) {
+                        headerCell.style.textAlign = align;
+                    }
+                    headerRow.appendChild(headerCell);
+                });
+                if (!append) {
+                    thead.prepend(headerRow);
+                }
+
+                const tbodyFragment = new DocumentFragment();
+                const tbodyRows = [];
+                // Populate table body with data
+                data.forEach((item, index) => {
+                    let row = document.createElement("tr");
+                    if (row.index === undefined || row.index === null) {
+                        row.dataset.index = index + offset;
+                        row.index = index + offset;
+                    }
+                    columns.forEach((column) => {
+                        let { key, align, format, visible, render, template } =
+                            column;
+                        let cell = document.createElement("td");
+                        let value = resolvePath(item, key);
+                        cell.classList.add(
+                            CLASS.TD.BASE,
+                            visible === false
+                                ? CLASS.TD.HIDDEN
+                                : CLASS.TD.VISIBLE
+                        );
+                        if (typeof render === "function" || template) {
+                            // Keep the raw value for search, sort and export
+                            cell.dataset.tjsValue = value ?? "";
+                            renderCell(
+                                cell,
+                                typeof render === "function"
+                                    ? render(value, item, index)
+                                    : toTemplate(template, item)
+                            );
+                        } else {
+                            if (typeof format === "function") {
+                                value = format(value, item, index);
+                            }
+                            cell.textContent = value !== undefined ? value : ""; // Handle missing keys
+                        }
+                        if (align) {
+                            cell.style.textAlign = align;
+                        }
+                        row.appendChild(cell);
+                    });
+                    if (table.virtual) {
+                        // Rows are kept aside and attached by the virtual window
+                        row.isVirtualRow = true;
+                        table.virtual.rows.push(row);
+                    } else {
+                        tbodyFragment.appendChild(row);
+                    }
+                    tbodyRows.push(row);
+                });
+                tbody.appendChild(tbodyFragment);
+                if (table.store) {
+                    // Keep the sort, search, filters and page of the new rows
+                    renderRows(table, table.store.load(tbodyRows));
+                } else {
+                    renderVirtual(table);
+                }
+            }
+        } else if (typeof data === "object") {
+            let headerRow = document.createElement("tr");
+            headerRow.classList.add(CLASS.TR.BASE, CLASS.TR.VISIBLE);
+            Object.keys(data).forEach((key) => {
+                let headerCell = document.createElement("th");
+                headerCell.classList.add(CLASS.TH.BASE, CLASS.TH.VISIBLE);
+                headerCell.dataset.tjsColumn = key;
+                // headerCell.textContent = key.replace(/([A-Z])/g, " $1").replace(/^./, (str) => str.toUpperCase());
+                headerCell.textContent = key
+                    .replace(/[a-z]/g, (str) => str.toUpperCase())
+                    .replace(/[_]{1}|[ ]{2}/g, " ");
+                headerRow.appendChild(headerCell);
+            });
+            thead.appendChild(headerRow);
+            let row = document.createElement("tr");
+            Object.values(data).forEach((value) => {
+                let cell = document.createElement("td");
+                cell.classList.add(CLASS.TD.BASE, CLASS.TD.VISIBLE);
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        }
+    } catch (e) {
+        emitEvent(table, "error", { error: e, source: "render" });
+        throw new TableJSError(`toRender: Rendering failed, ${e.message}`);
+    }
+
+    emitEvent(table, "render", { data });
+
+    return instance;
+}
+
+/**
+ * Fills a cell with the output of a cell renderer.
+ * @param {HTMLElement} cell - The cell to fill.
+ * @param {string|Node|DocumentFragment} content - The content, a string being parsed as HTML.
+ * @returns {void}
+ */
+function renderCell(cell, content) {
+    if (content instanceof Node) {
+        cell.appendChild(content);
+    } else if (typeof content === "string") {
+        cell.innerHTML = content;
+    } else {
+        cell.textContent = content ?? "";
+    }
+}
+
+/**
+ * Interpolates a record into a `<template>` element. `{{field}}` placeholders are escaped, while `{{{field}}}` placeholders insert the value as it is.
+ * @param {HTMLTemplateElement|string} template - The template element or its selector.
+ * @param {Object} record - The record whose fields, including dotted paths, fill the placeholders.
+ * @returns {DocumentFragment} - The interpolated content.
+ */
+function toTemplate(template, record) {
+    template = validateElement(template, "template");
+
+    /**
+     * Escapes the characters of a text that have a meaning in HTML.
+     * @param {string} text - The text to escape.
+     * @returns {string} - The escaped text.
+     */
+    let escapeHTML = (text) =>
+        text.replace(
+            /[&<>"']/g,
+            (char) =>
+                ({
+                    "&": "&amp;",
+                    "<": "&lt;",
+                    ">": "&gt;",
+                    '"': "&quot;",
+                    "'": "&#39;",
+                })[char]
+        );
+
+    let html = template.innerHTML.replace(
+        /\{\{\{\s*([\w$.-]+)\s*\}\}\}|\{\{\s*([\w$.-]+)\s*\}\}/g,
+        (match, raw, escaped) => {
+            let value = resolvePath(record, raw ?? escaped);
+            value = value === undefined || value === null ? "" : `${value}`;
+            return raw !== undefined ? value : escapeHTML(value);
+        }
+    );
+
+    let content = document.createElement("template");
+    content.innerHTML = html;
+    return content.content;
+}
+
+/**
+ * Enables the virtual window of a table, keeping only the rows in view attached inside a fixed-height scroll container.
+ * Paging, search, filter, sort, colvis and the exporters keep working on every row.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector.
+ * @param {Number} [options.height=DEFAULT.VIRTUAL.height] - The height of the scroll container in pixels.
+ * @param {Number} [options.rowHeight=DEFAULT.VIRTUAL.rowHeight] - The fixed height of a row in pixels.
+ * @param {Number} [options.buffer=DEFAULT.VIRTUAL.buffer] - The number of rows attached above and below the visible ones.
+ * @returns {void}
+ */
+function toVirtual({
+    table,
+    height = DEFAULT.VIRTUAL.height,
+    rowHeight = DEFAULT.VIRTUAL.rowHeight,
+    buffer = DEFAULT.VIRTUAL.buffer,
+}) {
+    table = validateVariable(table, {
+        variableName: "toVirtual.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [{ typeOf: "string" }, { instanceOf: Element }],
+    });
+    height = validateVariable(height, {
+        variableName: "toVirtual.height",
+        $and: [{ typeOf: "number" }, { execute: (number) => number > 0 }],
+    });
+    rowHeight = validateVariable(rowHeight, {
+        variableName: "toVirtual.rowHeight",
+        $and: [{ typeOf: "number" }, { execute: (number) => number > 0 }],
+    });
+    buffer = validateVariable(buffer, {
+        variableName: "toVirtual.buffer",
+        $and: [{ typeOf: "number" }, { execute: (number) => number >= 0 }],
+    });
+
+    let container = table.parentElement;
+    if (!container?.classList.contains(CLASS.VIRTUAL.CONTAINER)) {
+        container = document.createElement("div");
+        container.classList.add(CLASS.VIRTUAL.CONTAINER);
+        table.before(container);
+        container.appendChild(table);
+    }
+    container.style.height = `${height}px`;
+
+    let tbody = table.querySelector("tbody");
+    if (!tbody) {
+        tbody = document.createElement("tbody");
+        table.appendChild(tbody);
+    }
+
+    let rows = table.virtual
+        ? table.virtual.rows
+        : Array.from(
+              tbody.querySelectorAll(
+                  `tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+              )
+          );
+    rows.forEach((row) => {
+        row.isVirtualRow = true;
+        row.remove();
+    });
+
+    table.virtual = { container, height, rowHeight, buffer, rows };
+
+    if (!container.hasVirtualScrollEventListener) {
+        addListener(table, container, "scroll", () => {
+            if (container.isVirtualFramePending) {
+                return;
+            }
+            container.isVirtualFramePending = true;
+            requestAnimationFrame(() => {
+                container.isVirtualFramePending = false;
+                renderVirtual(table);
+            });
+        });
+        container.hasVirtualScrollEventListener = true;
+    }
+
+    renderVirtual(table);
+}
+
+/**
+ * Attaches the rows in view of a virtual window, replacing the other rows by spacers of the same height.
+ * Does nothing when the table has no virtual window.
+ * @param {HTMLElement} table - The table element.
+ * @returns {void}
+ */
+function renderVirtual(table) {
+    if (!table?.virtual) {
+        return;
+    }
+
+    let { container, height, rowHeight, buffer } = table.virtual;
+    let tbody = table.querySelector("tbody");
+    let rows = table.virtual.rows.filter(
+        (row) => !row.classList.contains(CLASS.TR.HIDDEN)
+    );
+    let columns = table.querySelectorAll("thead th").length || 1;
+
+    let start = Math.min(
+        Math.max(0, Math.floor(container.scrollTop / rowHeight) - buffer),
+        rows.length
+    );
+    let end = Math.min(
+        rows.length,
+        start +
+            Math.ceil((container.clientHeight || height) / rowHeight) +
+            buffer * 2
+    );
+
+    /**
+     * Creates a spacer row standing for detached rows.
+     * @param {number} count - The number of rows the spacer stands for.
+     * @returns {HTMLElement} - The spacer row.
+     */
+    let createSpacer = (count) => {
+        let spacer = document.createElement("tr");
+        let cell = document.createElement("td");
+        spacer.classList.add(CLASS.TR.SPACER);
+        spacer.setAttribute("aria-hidden", "true");
+        spacer.isVirtualSpacer = true;
+        spacer.style.height = `${count * rowHeight}px`;
+        cell.colSpan = columns;
+        spacer.appendChild(cell);
+        return spacer;
+    };
+
+    Array.from(tbody.children).forEach((row) => {
+        if (row.isVirtualRow || row.isVirtualSpacer) {
+            row.remove();
+        }
+    });
+
+    renderHighlights(table, rows.slice(start, end));
+
+    let fragment = new DocumentFragment();
+    fragment.append(
+        createSpacer(start),
+        ...rows.slice(start, end),
+        createSpacer(rows.length - end)
+    );
+    tbody.prepend(fragment);
+}
+
+/**
+ * Searches for a keyword within a table or specified element and updates the visibility of matching rows.
+ *
+ * @param {object} options - An object containing search parameters.
+ * @param {HTMLElement|object|string} options.table - The table element or object with a proxy property representing the table.
+ * @param {string} [options.to="local"] - The scope of the search ("local" for within the table or "api" for an external API).
+ * @param {HTMLElement|object|string} options.element - The specific element to search within (applicable when `to` is "local").
+ * @param {string} options.keyword - The keyword to search for within the table.
+ * @param {function|string|HTMLElement|Object} [options.output] - The output destination for search results. An object `{element, template, filtered, locale}` writes a template instead, see `renderOutput`.
+ * @param {Array<number|string>} [options.exclude=[]] - An array of column indices or CSS selectors to exclude from the search.
+ * @param {boolean|Object} [options.query] - Whether the keyword is a search query, see `parseQuery`, or the query settings over `DEFAULT.QUERY`.
+ * @param {string|Object} [options.match] - The matching mode of a keyword that is not a query, or the matching settings over `DEFAULT.MATCH`.
+ * Every mode ignores the case and the accents.
+ * @param {boolean} [options.highlight=true] - Whether the matching text of the cells is marked, in the "local" scope.
+ * @returns {void}
+ */
+function toSearch({
+    table,
+    to = "local",
+    element,
+    keyword,
+    output,
+    exclude = [],
+    query,
+    match,
+    highlight = true,
+    instance,
+}) {
+    table = validateVariable(table, {
+        variableName: "toSearch.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    element = validateVariable(element, {
+        variableName: "toSearch.element",
+        $transform: (el) => validateElement(el),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    keyword = validateVariable(keyword, {
+        variableName: "toSearch.keyword",
+        $and: [{ typeOf: "string" }],
+    });
+    query = validateVariable(query, {
+        variableName: "toSearch.query",
+        $transform: (object) =>
+            object
+                ? { ...DEFAULT.QUERY, ...(object === true ? {} : object) }
+                : undefined,
+        $or: [
+            { typeOf: "undefined" },
+            { typeOf: "boolean" },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                ],
+            },
+        ],
+    });
+    match = validateVariable(match, {
+        variableName: "toSearch.match",
+        $transform: (value) => ({
+            ...DEFAULT.MATCH,
+            ...(typeof value === "string" ? { mode: value } : value),
+        }),
+        $or: [
+            { typeOf: "undefined" },
+            {
+                $and: [
+                    { typeOf: "string" },
+                    {
+                        in: [
+                            "contains",
+                            "startsWith",
+                            "exact",
+                            "wholeWord",
+                            "regex",
+                            "fuzzy",
+                        ],
+                    },
+                ],
+            },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    {
+                        execute: ({
+                            mode = DEFAULT.MATCH.mode,
+                            threshold = DEFAULT.MATCH.threshold,
+                            rank = DEFAULT.MATCH.rank,
+                        }) =>
+                            [
+                                "contains",
+                                "startsWith",
+                                "exact",
+                                "wholeWord",
+                                "regex",
+                                "fuzzy",
+                            ].includes(mode) &&
+                            threshold >= 0 &&
+                            threshold <= 1 &&
+                            typeof rank === "boolean",
+                    },
+                ],
+            },
+        ],
+    });
+    highlight = validateVariable(highlight, {
+        variableName: "toSearch.highlight",
+        $and: [{ typeOf: "boolean" }],
+    });
+    output = validateVariable(output, {
+        variableName: "toSearch.output",
+        $or: [
+            { typeOf: "undefined" },
+            { typeOf: "function" },
+            { typeOf: "string" },
+            { instanceOf: Element },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    { has: ["element"] },
+                ],
+            },
+        ],
+    });
+    exclude = validateVariable(exclude, {
+        variableName: "toSearch.exclude",
+        $and: [
+            { instanceOf: Array },
+            { typeOf: "object" },
+            { execute: (array) => Array.isArray(array) },
+            {
+                execute: (array) =>
+                    array.every((items) => typeof items === "number") ||
+                    array.every((items) => typeof items === "string"),
+            },
+        ],
+    });
+
+    // A malformed query leaves the rows as they are and tells what is wrong
+    let groups;
+    if (query) {
+        try {
+            groups = resolveQuery(table, parseQuery(keyword));
+            reportQuery(element);
+        } catch (error) {
+            reportQuery(element, error.message);
+            emitEvent(table, "error", { error, source: "query" });
+            return;
+        }
+    }
+
+    // So does a malformed pattern of the "regex" mode
+    let matcher;
+    if (!groups && keyword) {
+        try {
+            matcher = prepareMatch(keyword, match);
+            if (match.mode === "regex") {
+                reportQuery(element);
+            }
+        } catch (error) {
+            reportQuery(element, error.message);
+            emitEvent(table, "error", { error, source: "match" });
+            return;
+        }
+    }
+
+    table.properties.search = keyword;
+    table.properties.page = DEFAULT.PAGE;
+
+    switch (to) {
+        case "local":
+            let cols = Array.from(table.querySelectorAll("thead th"));
+
+            let excludeIndex = cols.reduce((acc, th) => {
+                if (validateExclusion(th, exclude, "searchable")) {
+                    acc.push(th.cellIndex);
+                }
+                return acc;
+            }, []);
+
+            // The scores of the last run rank the fuzzy matches
+            let scores = new WeakMap();
+
+            let result = getStore(table).update({
+                search: groups
+                    ? groups.length > 0
+                        ? (row) => matchQuery(row, groups, excludeIndex)
+                        : undefined
+                    : matcher
+                    ? (row) => {
+                          let score = scoreMatch(
+                              getRowValues(row, excludeIndex).map((value) =>
+                                  normalizeText(value)
+                              ),
+                              matcher
+                          );
+                          scores.set(row, score);
+                          return score > 0;
+                      }
+                    : undefined,
+                rank:
+                    matcher && matcher.mode === "fuzzy" && match.rank
+                        ? (row) => scores.get(row) ?? 0
+                        : undefined,
+                page: DEFAULT.PAGE,
+            });
+
+            // Rows are marked as they render, see `renderHighlights`
+            table.highlight =
+                highlight && (matcher || groups?.length > 0)
+                    ? {
+                          matchers: groups
+                              ? groups
+                                    .flat()
+                                    .filter(
+                                        ({ negate, kind }) =>
+                                            !negate && kind === "text"
+                                    )
+                                    .map(({ value, operator, index }) => ({
+                                        ...prepareMatch(value, {
+                                            mode:
+                                                operator === "="
+                                                    ? "exact"
+                                                    : "contains",
+                                        }),
+                                        index,
+                                    }))
+                              : [matcher],
+                          excludeIndex,
+                      }
+                    : undefined;
+
+            let searched = new Set(result.matched);
+            result.ordered.forEach((row) => {
+                if (keyword && searched.has(row)) {
+                    row.classList.add(CLASS.TR.SEARCHED);
+                } else {
+                    row.classList.remove(CLASS.TR.SEARCHED);
+                }
+            });
+
+            renderRows(table, result);
+
+            let paginationInfo = toPaginationInfo(result);
+
+            renderOutput(output, paginationInfo);
+            break;
+        case "api":
+            if (instance) {
+                if (instance.api) {
+                    if (!instance.api.data) {
+                        instance.api.data = {};
+                    }
+                    // The limit stays, a new search starts over from the first page
+                    instance.api.data.search = keyword;
+                    delete instance.api.data.page;
+                    writePagination(instance, instance.api.data);
+                    if (keyword === "") {
+                        delete instance.api.data.search;
+                    }
+                    delete instance.api.data[match.param];
+                    if (matcher && match.mode !== DEFAULT.MATCH.mode) {
+                        instance.api.data[match.param] = match.mode;
+                    }
+                    if (groups) {
+                        // The parsed query replaces the raw search
+                        delete instance.api.data.search;
+                        delete instance.api.data[query.param];
+                        if (groups.length > 0) {
+                            let structured = serializeQuery(groups);
+                            let method = instance.api.method ?? DEFAULT.METHOD;
+                            instance.api.data[query.param] =
+                                method.toUpperCase() === "GET"
+                                    ? JSON.stringify(structured)
+                                    : structured;
+                        }
+                    }
+                }
+                toInitialize(instance, instance?.api?.rendering);
+            }
+            break;
+    }
+
+    emitEvent(table, "search", {
+        keyword,
+        to,
+        ...(groups ? { query: serializeQuery(groups) } : {}),
+    });
+}
+
+/**
+ * Parses a search query into groups of terms, a row matching the query when it matches every term of one of the groups.
+ * Terms are words, quoted phrases and field qualified terms (`field:value` containing the value, `field=value` equal to it,
+ * and `field>value`, `field>=value`, `field<value`, `field<=value` comparing numbers or dates), all negated by a leading `-`.
+ * Groups are separated by `OR`.
+ *
+ * @param {string} text - The query, like `status:active amount>500 -archived "new york"`.
+ * @returns {Array<Array<{field: string|undefined, operator: string, value: string, negate: boolean, kind: string}>>} - The groups of terms,
+ * where `kind` is "text", "number" or "date".
+ * @throws {TableJSError} If the query is malformed.
+ */
+function parseQuery(text) {
+    let groups = [[]];
+    let position = 0;
+    let pattern = new RegExp(REGEX.QUERY_TERM);
+
+    while (position < text.length) {
+        while (/\s/.test(text[position] ?? "")) {
+            position++;
+        }
+        if (position >= text.length) {
+            break;
+        }
+        let start = position + 1;
+        pattern.lastIndex = position;
+        let [match, negate, field, operator, phrase, closed, word] =
+            pattern.exec(text);
+        position = pattern.lastIndex;
+
+        if (word === "OR" && !negate && !field) {
+            if (groups[groups.length - 1].length === 0) {
+                throw new TableJSError(
+                    `Search query: expected a term before OR at position ${start}`
+                );
+            }
+            groups.push([]);
+            continue;
+        }
+        if (phrase !== undefined && closed !== '"') {
+            throw new TableJSError(
+                `Search query: unclosed quote at position ${start}`
+            );
+        }
+        let value = phrase ?? word;
+        if (!value) {
+            throw new TableJSError(
+                field
+                    ? `Search query: expected a value after "${field}${operator}" at position ${start}`
+                    : `Search query: expected a term after "${match}" at position ${start}`
+            );
+        }
+
+        let kind = "text";
+        if ([">", ">=", "<", "<="].includes(operator)) {
+            if (REGEX.QUERY_NUMBER.test(value)) {
+                kind = "number";
+            } else if (
+                /\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(value) ||
+                !isNaN(Date.parse(value))
+            ) {
+                kind = "date";
+            } else {
+                throw new TableJSError(
+                    `Search query: expected a number or a date after "${field}${operator}" at position ${start}`
+                );
+            }
+        }
+
+        groups[groups.length - 1].push({
+            field,
+            operator: operator ?? ":",
+            value,
+            negate: !!negate,
+            kind,
+        });
+    }
+
+    if (groups.length > 1 && groups[groups.length - 1].length === 0) {
+        throw new TableJSError(`Search query: expected a term after OR`);
+    }
+    return groups.filter((terms) => terms.length > 0);
+}
+
+/**
+ * Resolves the fields of a parsed search query to the columns of a table, matching their header labels or
+ * `data-tjs-column` values regardless of the case, spaces and punctuation.
+ * @param {HTMLElement} table - The table element.
+ * @param {Array<Array<Object>>} groups - The groups of terms, see `parseQuery`.
+ * @returns {Array<Array<Object>>} - The groups, with the `column` key, the `index` and the date `format` of the qualified terms.
+ * @throws {TableJSError} If a field matches no column.
+ */
+function resolveQuery(table, groups) {
+    let ths = Array.from(table.querySelectorAll("thead th"));
+    let normalize = (text) =>
+        `${text}`
+            .toLowerCase()
+            .replace(REGEX.NON_WORD_NON_SPACE, "")
+            .replace(/[\s_]+/g, "");
+
+    return groups.map((terms) =>
+        terms.map((term) => {
+            if (term.field === undefined) {
+                return term;
+            }
+            let field = normalize(term.field);
+            let th = ths.find(
+                (th) =>
+                    normalize(th.dataset.tjsColumn ?? "") === field ||
+                    normalize(th.textContent.trim()) === field
+            );
+            if (!th) {
+                let fields = ths.map((th) => th.textContent.trim()).join(", ");
+                throw new TableJSError(
+                    `Search query: unknown field "${term.field}", expected one of ${fields}`
+                );
+            }
+            // Dates are read with the format of the sort settings of the column
+            let settings =
+                table.sort?.columns?.[th.dataset.tjsColumn] ??
+                table.sort?.columns?.[th.cellIndex];
+            return {
+                ...term,
+                column: th.dataset.tjsColumn,
+                index: th.cellIndex,
+                format: settings?.format,
+            };
+        })
+    );
+}
+
+/**
+ * Validates whether a row matches a parsed search query, unqualified terms matching any searchable cell.
+ * @param {HTMLElement} row - The row.
+ * @param {Array<Array<Object>>} groups - The groups of terms, see `resolveQuery`.
+ * @param {number[]} [excludeIndex=[]] - The indexes of the cells left out of unqualified terms.
+ * @returns {boolean} - True if the row matches every term of a group.
+ */
+function matchQuery(row, groups, excludeIndex = []) {
+    /**
+     * Compares a cell value with a term.
+     * @param {string} text - The cell value.
+     * @param {Object} term - The term.
+     * @returns {boolean} - True if the value matches the term.
+     */
+    let compare = (text, { operator, value, kind, format }) => {
+        if (kind === "text") {
+            let cell = normalizeText(text.trim());
+            let expected = normalizeText(value);
+            return operator === "="
+                ? cell === expected
+                : cell.includes(expected);
+        }
+        let a = parseSortValue(text, kind, format);
+        let b = parseSortValue(value, kind, format);
+        if (a === null || b === null) {
+            return false;
+        }
+        switch (operator) {
+            case ">":
+                return a > b;
+            case ">=":
+                return a >= b;
+            case "<":
+                return a < b;
+            default:
+                return a <= b;
+        }
+    };
+
+    let cells = Array.from(row.children);
+    return groups.some((terms) =>
+        terms.every((term) => {
+            let values =
+                term.index === undefined
+                    ? cells
+                          .filter(
+                              (td) =>
+                                  !excludeIndex.includes(td.cellIndex) &&
+                                  validateVisibility(td)
+                          )
+                          .map((td) => getCellValue(td))
+                    : [getCellValue(cells[term.index])];
+            let matched = values.some((text) => compare(text, term));
+            return term.negate ? !matched : matched;
+        })
+    );
+}
+
+/**
+ * Converts a parsed search query into the structured object sent to an api, `{any: [{all: [term]}]}`.
+ * @param {Array<Array<Object>>} groups - The groups of terms, see `resolveQuery`.
+ * @returns {{any: Array<{all: Array<{field: string|null, operator: string, value: string, negate: boolean}>}>}} - The structured query.
+ */
+function serializeQuery(groups) {
+    return {
+        any: groups.map((terms) => ({
+            all: terms.map(({ column, operator, value, negate }) => ({
+                field: column ?? null,
+                operator,
+                value,
+                negate,
+            })),
+        })),
+    };
+}
+
+/**
+ * Reports the validity of a search query on the search element, with the message of a malformed query or none.
+ * @param {HTMLElement} [element] - The search element.
+ * @param {string} [message=""] - The message, an empty one marking the query valid.
+ * @returns {void}
+ */
+function reportQuery(element, message = "") {
+    if (!element) {
+        return;
+    }
+    element.setCustomValidity?.(message);
+    if (message) {
+        element.setAttribute("aria-invalid", "true");
+        element.reportValidity?.();
+    } else {
+        element.removeAttribute("aria-invalid");
+    }
+}
+
+/**
+ * Normalizes a text for matching, lowering its case and dropping the accents of its characters.
+ * @param {string} text - The text.
+ * @returns {string} - The normalized text.
+ */
+function normalizeText(text) {
+    return `${text}`
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(REGEX.COMBINING_MARKS, "");
+}
+
+/**
+ * Prepares the matching of a search keyword, see `scoreMatch`.
+ * @param {string} keyword - The keyword.
+ * @param {{mode: string, threshold: number}} match - The matching settings, see `DEFAULT.MATCH`.
+ * @returns {{mode: string, keyword: string, words: string[], pattern: RegExp|undefined, threshold: number}} - The matcher,
+ * with the normalized keyword, its words and the pattern of the "wholeWord" and "regex" modes.
+ * @throws {TableJSError} If the keyword of the "regex" mode is not a valid pattern.
+ */
+function prepareMatch(keyword, { mode, threshold }) {
+    let text = normalizeText(keyword);
+    let pattern;
+
+    if (mode === "regex") {
+        // The case of a pattern is kept, `\W` and `\w` are not the same class
+        let source = keyword
+            .normalize("NFD")
+            .replace(REGEX.COMBINING_MARKS, "");
+        try {
+            pattern = new RegExp(source, "i");
+        } catch (error) {
+            throw new TableJSError(`Search pattern: ${error.message}`);
+        }
+    } else if (mode === "wholeWord") {
+        let escaped = text.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`,
+            "u"
+        );
+    }
+
+    return {
+        mode,
+        keyword: text,
+        words: text.split(REGEX.WORD_SEPARATORS).filter(Boolean),
+        pattern,
+        threshold,
+    };
+}
+
+/**
+ * Scores the match of the values of a row with a search keyword. The "contains" and "wholeWord" modes match the values
+ * together, "startsWith" and "exact" match any single value, "regex" matches either, and "fuzzy" matches every word of the keyword
+ * with the closest start of a word of the values, within a share of mistyped characters.
+ * @param {string[]} values - The normalized values, see `normalizeText`.
+ * @param {Object} matcher - The matcher, see `prepareMatch`.
+ * @returns {number} - The score, from 0 for no match to 1 for an exact one.
+ */
+function scoreMatch(values, { mode, keyword, words, pattern, threshold }) {
+    let text = values.join(" ");
+
+    switch (mode) {
+        case "startsWith":
+            return values.some((value) =>
+                value.trim().startsWith(keyword.trim())
+            )
+                ? 1
+                : 0;
+        case "exact":
+            return values.some((value) => value.trim() === keyword.trim())
+                ? 1
+                : 0;
+        case "wholeWord":
+            return pattern.test(text) ? 1 : 0;
+        case "regex":
+            // Anchors match a single value as well as the values together
+            return values.some((value) => pattern.test(value)) ||
+                pattern.test(text)
+                ? 1
+                : 0;
+        case "fuzzy":
+            if (words.length === 0) {
+                return text.includes(keyword) ? 1 : 0;
+            }
+            let tokens = text.split(REGEX.WORD_SEPARATORS).filter(Boolean);
+            let total = 0;
+            for (let word of words) {
+                let ratio = Math.min(
+                    1,
+                    ...tokens.map((token) =>
+                        token.includes(word)
+                            ? 0
+                            : getEditDistance(word, token) / word.length
+                    )
+                );
+                if (ratio > threshold) {
+                    return 0;
+                }
+                total += 1 - ratio;
+            }
+            return total / words.length;
+        default:
+            return text.includes(keyword) ? 1 : 0;
+    }
+}
+
+/**
+ * Gets the number of characters to insert, delete or replace in a word to make it the closest start of a token,
+ * so that a word being typed matches the token as much as a whole one.
+ * @param {string} word - The word.
+ * @param {string} token - The token.
+ * @returns {number} - The edit distance.
+ */
+function getEditDistance(word, token) {
+    let previous = Array.from({ length: token.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= word.length; i++) {
+        let current = [i];
+        for (let j = 1; j <= token.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (word[i - 1] === token[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return Math.min(...previous);
+}
+
+/**
+ * Finds the matches of a search keyword in a normalized text, see `scoreMatch`. Fuzzy matches mark the whole word
+ * of a mistyped keyword word.
+ * @param {string} text - The normalized text, see `normalizeText`.
+ * @param {Object} matcher - The matcher, see `prepareMatch`.
+ * @returns {Array<number[]>} - The start and end indexes of the matches.
+ */
+function findMatches(text, { mode, keyword, words, pattern, threshold }) {
+    let term = keyword.trim();
+    let start = text.length - text.trimStart().length;
+    let ranges = [];
+
+    switch (mode) {
+        case "startsWith":
+            if (term && text.trimStart().startsWith(term)) {
+                ranges.push([start, start + term.length]);
+            }
+            break;
+        case "exact":
+            if (term && text.trim() === term) {
+                ranges.push([start, start + term.length]);
+            }
+            break;
+        case "wholeWord":
+        case "regex":
+            for (let { 0: found, index } of text.matchAll(
+                new RegExp(pattern.source, `${pattern.flags}g`)
+            )) {
+                if (found.length > 0) {
+                    ranges.push([index, index + found.length]);
+                }
+            }
+            break;
+        case "fuzzy":
+            for (let { 0: token, index } of text.matchAll(REGEX.WORDS)) {
+                words.forEach((word) => {
+                    let position = token.indexOf(word);
+                    if (position > -1) {
+                        ranges.push([
+                            index + position,
+                            index + position + word.length,
+                        ]);
+                    } else if (
+                        getEditDistance(word, token) / word.length <=
+                        threshold
+                    ) {
+                        ranges.push([index, index + token.length]);
+                    }
+                });
+            }
+            break;
+        default:
+            for (
+                let position = keyword ? text.indexOf(keyword) : -1;
+                position > -1;
+                position = text.indexOf(keyword, position + keyword.length)
+            ) {
+                ranges.push([position, position + keyword.length]);
+            }
+    }
+    return ranges;
+}
+
+/**
+ * Marks the search matches of the rows that render, and unmarks the rows of a former search.
+ * Rows only change when the search changed since they were last marked.
+ * @param {HTMLElement} table - The table element, with the `highlight` of its last search.
+ * @param {HTMLElement[]} rows - The rows.
+ * @returns {void}
+ */
+function renderHighlights(table, rows) {
+    rows.forEach((row) => {
+        if (row.highlight === table.highlight) {
+            return;
+        }
+        row.querySelectorAll(`mark.${CLASS.SEARCH.MATCH}`).forEach((mark) => {
+            let parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+        if (table.highlight) {
+            highlightRow(row, table.highlight);
+        }
+        row.highlight = table.highlight;
+    });
+}
+
+/**
+ * Marks the search matches in the cells of a row, splitting their text nodes so that the markup and the listeners
+ * of the cells are kept.
+ * @param {HTMLElement} row - The row.
+ * @param {{matchers: Object[], excludeIndex: number[]}} highlight - The matchers, see `prepareMatch`, with the `index`
+ * of the cell they are bound to, and the indexes of the cells left out.
+ * @returns {void}
+ */
+function highlightRow(row, { matchers, excludeIndex }) {
+    Array.from(row.children).forEach((td) => {
+        if (excludeIndex.includes(td.cellIndex) || !validateVisibility(td)) {
+            return;
+        }
+
+        // Normalizing may change the length of a character, so every normalized index keeps its source indexes
+        let source = td.textContent;
+        let text = "";
+        let starts = [];
+        let ends = [];
+        for (let i = 0; i < source.length; ) {
+            let char = String.fromCodePoint(source.codePointAt(i));
+            let normalized = normalizeText(char);
+            text += normalized;
+            for (let k = 0; k < normalized.length; k++) {
+                starts.push(i);
+                ends.push(i + char.length);
+            }
+            i += char.length;
+        }
+
+        let ranges = matchers
+            .filter(
+                ({ index }) => index === undefined || index === td.cellIndex
+            )
+            .flatMap((matcher) => findMatches(text, matcher))
+            .map(([start, end]) => [starts[start], ends[end - 1]])
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                let last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+                return merged;
+            }, []);
+        if (ranges.length === 0) {
+            return;
+        }
+
+        let walker = document.createTreeWalker(td, NodeFilter.SHOW_TEXT);
+        let nodes = [];
+        for (let position = 0; walker.nextNode(); ) {
+            nodes.push([walker.currentNode, position]);
+            position += walker.currentNode.length;
+        }
+        nodes.forEach(([node, position]) => {
+            // From the last match, so that the node keeps the text before the matches
+            ranges
+                .filter(
+                    ([start, end]) =>
+                        start < position + node.length && end > position
+                )
+                .reverse()
+                .forEach(([start, end]) => {
+                    let from = Math.max(start, position) - position;
+                    let to = Math.min(end, position + node.length) - position;
+                    if (to < node.length) {
+                        node.splitText(to);
+                    }
+                    let matched = from > 0 ? node.splitText(from) : node;
+                    let mark = document.createElement("mark");
+                    mark.classList.add(CLASS.SEARCH.MATCH);
+                    matched.replaceWith(mark);
+                    mark.appendChild(matched);
+                });
+        });
+    });
+}
+
+/**
+ * Searches the columns of a table each with their own value, the rows matching every column value along with the global search.
+ * Columns with a select control match their value exactly, the others contain it, both ignoring the case.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector.
+ * @param {Object<string, string>} [options.columns={}] - The values keyed by `data-tjs-column` value, an empty value leaving the column out.
+ * @param {Object<string, string|string[]|boolean>} [options.controls={}] - The controls keyed by `data-tjs-column` value ("input", "select", the options of a select, or false).
+ * @param {String} [options.to='local'] - The target of the search ('local' or 'api').
+ * @param {String} [options.format=DEFAULT.COLUMN_SEARCH.format] - The api serialization of the values ("bracket", "json" or "flat"), see `serializeFilters`.
+ * @param {String} [options.param=DEFAULT.COLUMN_SEARCH.param] - The api parameter name of the values.
+ * @param {Function|String|HTMLElement|Object} [options.output] - The output location for pagination information, see `renderOutput`.
+ * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
+ * @returns {void}
+ */
+function toColumnSearch({
+    table,
+    columns = {},
+    controls = {},
+    to = "local",
+    format = DEFAULT.COLUMN_SEARCH.format,
+    param = DEFAULT.COLUMN_SEARCH.param,
+    output,
+    instance,
+}) {
+    table = validateVariable(table, {
+        variableName: "toColumnSearch.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    columns = validateVariable(columns, {
+        variableName: "toColumnSearch.columns",
+        $and: [
+            { typeOf: "object" },
+            { execute: (object) => !Array.isArray(object) },
+        ],
+    });
+    to = validateVariable(to, {
+        variableName: "toColumnSearch.to",
+        $and: [{ typeOf: "string" }, { in: ["local", "api"] }],
+    });
+    output = validateVariable(output, {
+        variableName: "toColumnSearch.output",
+        $or: [
+            { typeOf: "undefined" },
+            { typeOf: "function" },
+            { typeOf: "string" },
+            { instanceOf: Element },
+            {
+                $and: [
+                    { typeOf: "object" },
+                    { execute: (object) => !Array.isArray(object) },
+                    { has: ["element"] },
+                ],
+            },
+        ],
+    });
+
+    const previousColumns = table.properties.columnSearch ?? {};
+    columns = Object.fromEntries(
+        Object.entries(columns)
+            .map(([key, value]) => [key, `${value ?? ""}`.trim()])
+            .filter(([, value]) => value !== DEFAULT.SEARCH)
+    );
+
+    table.properties.columnSearch = columns;
+    table.properties.page = DEFAULT.PAGE;
+
+    switch (to) {
+        case "local":
+            let searches = Object.entries(columns).map(([key, value]) => {
+                let th = Array.from(table.querySelectorAll("thead th")).find(
+                    (th) => th.dataset.tjsColumn === key
+                );
+                let control = controls[key];
+                return {
+                    index: th?.cellIndex ?? -1,
+                    value: value.toLowerCase(),
+                    exact: control === "select" || Array.isArray(control),
+                };
+            });
+
+            let result = getStore(table).update({
+                columns:
+                    searches.length > 0
+                        ? (row) =>
+                              searches.every(({ index, value, exact }) => {
+                                  let text = getCellValue(row.children[index])
+                                      .trim()
+                                      .toLowerCase();
+                                  return exact
+                                      ? text === value
+                                      : text.includes(value);
+                              })
+                        : undefined,
+                page: DEFAULT.PAGE,
+            });
+
+            renderRows(table, result);
+            renderOutput(output, toPaginationInfo(result));
+            break;
+        case "api":
+            if (instance?.api) {
+                let data = serializeFilters({
+                    data: { ...instance.api.data },
+                    filters: columns,
+                    previousFilters: previousColumns,
+                    format,
+                    param,
+                });
+                // New column values start over from the first page
+                delete data.page;
+                writePagination(instance, data);
+                instance.api.data = data;
+                toInitialize(instance, instance.api.rendering);
+            }
+            break;
+    }
+
+    renderPages(table);
+
+    emitEvent(table, "search", {
+        keyword: table.properties.search,
+        columns,
+        to,
+    });
+}
+
+/**
+ * Applies a sort stack to a table, either locally or via an API.
+ * The first entry of the stack is the primary sort key, following entries break the ties of the previous ones.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector to sort.
+ * @param {Array<{column: string|number, direction: string}>} [options.sorts=[]] - The sort stack, where column is the `data-tjs-column` value or the index of a header cell,
+ * and direction is "asc" or "desc". An empty stack restores the original order.
+ * @param {String} [options.to="local"] - The destination of the sorting operation. Can be either "local" or "api".
+ * @param {Object} [options.params] - The api parameter names used in "api" mode, multiple columns and directions are comma separated.
+ * @param {String} [options.params.sort="sort"] - The parameter name holding the sorted columns.
+ * @param {String} [options.params.order="order"] - The parameter name holding the sort directions.
+ * @param {Boolean} [options.ascending=true] - The direction of the first click on a header, used for the aria labels.
+ * @param {Object<string, string|Object>} [options.columns={}] - The local sort settings keyed by `data-tjs-column` value or header index. A value is either a type
+ * ("number", "date", "currency", "percent", "boolean" or "string") or an object with a `type`, a date `format` ("iso", "mdy", "dmy" or "ymd")
+ * and a `compare(a, b, rowA, rowB)` function receiving the cell values and rows.
+ * @param {String} [options.empty="last"] - Where empty values are placed regardless of the direction ("first" or "last").
+ * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
+ * @returns {Array<{column: string, direction: string}>} - The applied sort stack.
+ */
+function applySort({
+    table,
+    sorts = [],
+    to = "local",
+    params = {},
+    ascending = true,
+    columns = {},
+    empty = "last",
+    instance,
+}) {
+    table = validateVariable(table, {
+        variableName: "applySort.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    sorts = validateVariable(sorts, {
+        variableName: "applySort.sorts",
+        $and: [
+            { typeOf: "object" },
+            { execute: (array) => Array.isArray(array) },
+            {
+                execute: (array) =>
+                    array.every(
+                        (item) =>
+                            typeof item === "object" &&
+                            ["string", "number"].includes(typeof item.column)
+                    ),
+            },
+        ],
+    });
+    to = validateVariable(to, {
+        variableName: "applySort.to",
+        $and: [{ typeOf: "string" }, { in: ["local", "api"] }],
+    });
+    params = validateVariable(params, {
+        variableName: "applySort.params",
+        $transform: (object) => ({ sort: "sort", order: "order", ...object }),
+        $and: [
+            { typeOf: "object" },
+            { execute: (object) => !Array.isArray(object) },
+        ],
+    });
+    columns = validateVariable(columns, {
+        variableName: "applySort.columns",
+        $and: [
+            { typeOf: "object" },
+            { execute: (object) => !Array.isArray(object) },
+            {
+                execute: (object) =>
+                    Object.values(object).every((setting) =>
+                        [
+                            "number",
+                            "date",
+                            "currency",
+                            "percent",
+                            "boolean",
+                            "string",
+                        ].includes(
+                            typeof setting === "object"
+                                ? setting.type ?? "string"
+                                : setting
+                        )
+                    ),
+            },
+        ],
+    });
+    empty = validateVariable(empty, {
+        variableName: "applySort.empty",
+        $and: [{ typeOf: "string" }, { in: ["first", "last"] }],
+    });
+
+    let ths = Array.from(table.querySelectorAll("thead th"));
+    let stack = sorts.reduce((acc, { column, direction }) => {
+        let th = ths.find((th) =>
+            typeof column === "number"
+                ? th.cellIndex === column
+                : th.dataset.tjsColumn === `${column}`
+        );
+        if (
+            th &&
+            !th.classList.contains(CLASS.SORT.DISABLED) &&
+            !acc.some((item) => item.column === th.dataset.tjsColumn)
+        ) {
+            acc.push({
+                column: th.dataset.tjsColumn,
+                direction: /^desc/i.test(direction) ? "desc" : "asc",
+            });
+        }
+        return acc;
+    }, []);
+
+    table.properties.sorts = stack;
+    reflectSort({ table, sorts: stack, ascending });
+
+    switch (to) {
+        case "local":
+            let keys = stack.map(({ column, direction }) => {
+                let { cellIndex } = ths.find(
+                    (th) => th.dataset.tjsColumn === column
+                );
+                let setting = columns[column] ?? columns[cellIndex] ?? {};
+                let {
+                    type = "string",
+                    format = "iso",
+                    compare,
+                } = typeof setting === "string" ? { type: setting } : setting;
+                return { cellIndex, direction, type, format, compare };
+            });
+            /**
+             * Reads the sort value of a cell, the `data-sort-value` attribute taking precedence over the text.
+             * @param {HTMLElement} row - The row of the cell.
+             * @param {number} cellIndex - The index of the cell.
+             * @returns {string} - The sort value.
+             */
+            let readValue = (row, cellIndex) => {
+                let td = row.children[cellIndex];
+                return td?.dataset.sortValue ?? getCellValue(td).trim();
+            };
+            /**
+             * Compares two rows by the keys of the sort stack, ties keeping the original order.
+             * @param {HTMLElement} a - The first row.
+             * @param {HTMLElement} b - The second row.
+             * @returns {number} - The comparison result.
+             */
+            let compareRows = (a, b) => {
+                for (const key of keys) {
+                    let { cellIndex, direction, type, format, compare } = key;
+                    let aValue = readValue(a, cellIndex);
+                    let bValue = readValue(b, cellIndex);
+                    let aParsed = parseSortValue(aValue, type, format);
+                    let bParsed = parseSortValue(bValue, type, format);
+                    let aEmpty = aParsed === null;
+                    let bEmpty = bParsed === null;
+                    if (aEmpty || bEmpty) {
+                        if (aEmpty && bEmpty) continue;
+                        return (aEmpty ? 1 : -1) * (empty === "last" ? 1 : -1);
+                    }
+                    let comparison =
+                        typeof compare === "function"
+                            ? compare(aValue, bValue, a, b)
+                            : typeof aParsed === "string"
+                            ? aParsed.localeCompare(bParsed, undefined, {
+                                  numeric: true,
+                                  sensitivity: "base",
+                              })
+                            : aParsed - bParsed;
+                    if (comparison !== 0) {
+                        return direction === "asc" ? comparison : -comparison;
+                    }
+                }
+                return a.index - b.index;
+            };
+            renderRows(
+                table,
+                getStore(table).update({
+                    sort: keys.length > 0 ? compareRows : undefined,
+                })
+            );
+            break;
+        case "api":
+            if (instance) {
+                if (instance.api) {
+                    let data = { ...instance.api.data };
+                    delete data[params.sort];
+                    delete data[params.order];
+                    if (stack.length > 0) {
+                        data[params.sort] = stack
+                            .map(({ column }) => column)
+                            .join(",");
+                        data[params.order] = stack
+                            .map(({ direction }) => direction)
+                            .join(",");
+                    }
+                    // Cursors follow an order, a new one starts over from the first page
+                    if (instance.api.pagination?.strategy === "cursor") {
+                        table.properties.page = DEFAULT.PAGE;
+                        writePagination(instance, data);
+                    }
+                    instance.api.data = data;
+                }
+                toInitialize(instance, instance?.api?.rendering);
+            }
+            break;
+    }
+
+    emitEvent(table, "sort", { sorts: stack, to });
+
+    return stack;
+}
+
+/**
+ * Parses a cell value into a comparable value for the given sort type.
+ *
+ * @param {string} value - The cell value.
+ * @param {string} [type="string"] - The sort type ("number", "date", "currency", "percent", "boolean" or "string").
+ * @param {string} [format="iso"] - The date format ("iso", "mdy", "dmy" or "ymd"), used by the "date" type.
+ * @returns {number|string|null} - The comparable value, or null when the value is empty or cannot be parsed.
+ */
+function parseSortValue(value, type = "string", format = "iso") {
+    let text = `${value ?? ""}`.trim();
+    if (text === "") {
+        return null;
+    }
+    switch (type) {
+        case "number":
+        case "currency":
+        case "percent":
+            let negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text);
+            let digits = text.match(REGEX.SORT_NUMBER)?.[0];
+            if (digits === undefined) {
+                return null;
+            }
+            let number = parseFloat(digits.replace(/,/g, ""));
+            return negative ? -number : number;
+        case "date":
+            let parts = text.match(/\d+/g)?.map(Number) ?? [];
+            let [year, month, day, ...time] = (() => {
+                switch (format) {
+                    case "mdy":
+                        return [parts[2], parts[0], parts[1], ...parts.slice(3)];
+                    case "dmy":
+                        return [parts[2], parts[1], parts[0], ...parts.slice(3)];
+                    case "ymd":
+                        return parts;
+                    default:
+                        return [];
+                }
+            })();
+            let date =
+                year === undefined
+                    ? Date.parse(text)
+                    : new Date(
+                          year < 100 ? 2000 + year : year,
+                          month - 1,
+                          day,
+                          ...time
+                      ).getTime();
+            return isNaN(date) ? null : date;
+        case "boolean":
+            return /^(true|yes|y|on|1|✓|✔)$/i.test(text) ? 1 : 0;
+        default:
+            return text;
+    }
+}
+
+/**
+ * Reflects a sort stack on the header cells of a table, numbering the sorted headers when more than one column is sorted.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement} options.table - The table element.
+ * @param {Array<{column: string, direction: string}>} options.sorts - The sort stack.
+ * @param {Boolean} [options.ascending=true] - The direction of the first click on a header.
+ */
+function reflectSort({ table, sorts, ascending = true }) {
+    table.querySelectorAll("thead th").forEach((th) => {
+        if (th.classList.contains(CLASS.SORT.DISABLED)) {
+            return;
+        }
+        let label = th.textContent
+            .trim()
+            .replace(REGEX.NON_WORD_NON_SPACE, "");
+        let position = sorts.findIndex(
+            ({ column }) => column === th.dataset.tjsColumn
+        );
+        let direction = sorts[position]?.direction;
+
+        th.classList.remove(CLASS.SORT.ASCENDING, CLASS.SORT.DESCENDING);
+        if (position > -1 && sorts.length > 1) {
+            th.dataset.tjsSortOrder = position + 1;
+        } else {
+            delete th.dataset.tjsSortOrder;
+        }
+
+        switch (direction) {
+            case "asc":
+            case "desc":
+                th.classList.add(
+                    direction === "asc"
+                        ? CLASS.SORT.ASCENDING
+                        : CLASS.SORT.DESCENDING
+                );
+                th.setAttribute(
+                    "aria-sorting",
+                    direction === "asc" ? "ascending" : "descending"
+                );
+                th.setAttribute(
+                    "aria-label",
+                    direction === (ascending ? "asc" : "desc")
+                        ? `${label}: Activate to invert sorting`
+                        : `${label}: Activate to remove sorting`
+                );
+                break;
+            default:
+                th.setAttribute("aria-sorting", "none");
+                th.setAttribute("aria-label", `${label}: Activate to sort`);
+                break;
+        }
+    });
+}
+
+/**
+ * Sorts the specified table either locally or via an API, with optional exclusion of columns.
+ * A click on a header sorts by that column alone, a shift-click adds the column to the sort stack as a secondary key.
+ * In "api" mode, the sort stack is sent as the sort and order parameters on the api data of the instance and the table is reloaded.
+ *
+ * @param {Object} options - The options object.
+ * @param {HTMLElement|String} options.table - The table element or its selector to sort.
+ * @param {String} [options.to="local"] - The destination of the sorting operation. Can be either "local" or "api".
+ * @param {Boolean} [options.ascending=true] - Specifies whether the sorting is ascending (true) or descending (false).
+ * @param {Boolean} [options.sorting=true] - Specifies whether to perform sorting. If set to false, sorting will not be performed.
+ * @param {Array} [options.exclude=[]] - An array of elements to exclude from sorting. Each element can be a selector string or a column index (number).
+ * @param {Object} [options.params] - The api parameter names used in "api" mode.
+ * @param {String} [options.params.sort="sort"] - The parameter name holding the sorted columns.
+ * @param {String} [options.params.order="order"] - The parameter name holding the sort directions ("asc" or "desc").
+ * @param {Object<string, string|Object>} [options.columns={}] - The local sort type or `{ type, format, compare }` settings keyed by column, see applySort.
+ * @param {String} [options.empty="last"] - Where empty values are placed in local sorting ("first" or "last").
+ * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
+ *
+ * @returns {Boolean} - Returns false if sorting is disabled.
+ */
+function toSort({
+    table,
+    to = "local",
+    ascending = true,
+    sorting = true,
+    exclude = [],
+    params = {},
+    columns = {},
+    empty = "last",
+    instance,
+}) {
+    table = validateVariable(table, {
+        variableName: "toSort.table",
+        $transform: (element) => validateElement(element, "table"),
+        $or: [
+            { typeOf: "string" },
+            { instanceOf: Element },
+            { typeOf: "object" },
+        ],
+    });
+    ascending = validateVariable(ascending, {
+        variableName: "toSort.ascending",
+        $or: [
+            { typeOf: "boolean" },
+            { strictEquals: true },
+            { strictEquals: false },
+        ],
+    });
+    sorting = validateVariable(sorting, {
+        variableName: "toSort.sorting",
+        $or: [
+            { typeOf: "boolean" },
+            { strictEquals: true },
+            { strictEquals: false },
+        ],
+    });
+    exclude = validateVariable(exclude, {
+        variableName: "toSort.exclude",
+        $and: [
+            { instanceOf: Array },
+            { typeOf: "object" },
+            { execute: (array) => Array.isArray(array) },
+            {
+                execute: (array) =>
+                    array.every((items) => typeof items === "number") ||
+                    array.every((items) => typeof items === "string"),
+            },
+        ],
+    });
+    to = validateVariable(to, {
+        variableName: "toSort.to",
+        $and: [{ typeOf: "string" }, { in: ["local", "api"] }],
+    });
+    params = validateVariable(params, {
+        variableName: "toSort.params",
+        $transform: (object) => ({ sort: "sort", order: "order", ...object }),
+        $and: [
+            { typeOf: "object" },
+            { execute: (object) => !Array.isArray(object) },
+        ],
+    });
+    if (sorting === false) {
+        return sorting;
+    }
+
+    let ths = table.querySelectorAll("thead th");
+
+    getRows(table, `tr:not(.${CLASS.TR.NO_DATA})`).forEach((row) => {
+        if (!row.classList.contains(CLASS.TR.BASE)) {
+            row.classList.add(CLASS.TR.BASE);
+        }
+        if (!row.role) {
+            row.role = "row";
+        }
+    });
+
+    ths.forEach((th) => {
+        let thTextContent = th.textContent.trim();
+        let thTrimmedText = thTextContent?.replace(
+            REGEX.NON_WORD_NON_SPACE,
+            ""
+        );
+        th.classList.add(CLASS.TH.BASE);
+        th.setAttribute("aria-sorting", "none");
+        if (!th.dataset.tjsColumn) {
+            th.dataset.tjsColumn = th.cellIndex;
+        }
+        if (!th.index) {
+            th.index = th.cellIndex;
+        }
+        if (validateExclusion(th, exclude, "sortable")) {
+            th.setAttribute(
+                "aria-describedby",
+                `${thTrimmedText}: SORTING is disabled.`
+            );
+            th.setAttribute("aria-label", `${thTrimmedText}: Unable to sort`);
+            th.setAttribute("aria-sorting", "disabled");
+            th.classList.add(CLASS.SORT.DISABLED);
+            th.classList.remove(CLASS.SORT.ENABLED);
+            return;
+        } else {
+            th.setAttribute("aria-label", `${thTrimmedText}: Activate to sort`);
+            th.setAttribute(
+                "aria-describedby",
+                `${thTrimmedText}: SORTING is enabled.`
+            );
+            th.classList.add(CLASS.SORT.ENABLED);
+            th.classList.remove(CLASS.SORT.DISABLED);
+        }
+
+        if (th.hasSortClickEventListener) {
+            return;
+        }
+        addListener(table, th, "click", (e) => {
+            let column = e.currentTarget.dataset.tjsColumn;
+            let first = ascending ? "asc" : "desc";
+            let stack = table.properties.sorts ?? [];
+            let current = stack.find((item) => item.column === column);
+            let direction = !current
+                ? first
+                : current.direction === first
+                ? first === "asc"
+                    ? "desc"
+                    : "asc"
+                : null;
+
+            if (e.shiftKey) {
+                stack = current
+                    ? stack
+                          .map((item) =>
+                              item === current ? { column, direction } : item
+                          )
+                          .filter((item) => item.direction)
+                    : [...stack, { column, direction }];
+            } else {
+                stack = direction ? [{ column, direction }] : [];
+            }
+
+            applySort({
+                table,
+                sorts: stack,
+                to,
+                params,
+                ascending,
+                columns,
+                empty,
+                instance,
+            });
+        });
+        th.hasSortClickEventListener = true;
+    });
+
+    // Restores the sort state after the headers or rows have been rendered again
+    switch (to) {
+        case "local":
+            if (table.properties.sorts?.length > 0) {
+                applySort({
+                    table,
+                    sorts: table.properties.sorts,
+                    to,
+                    params,
+                    ascending,
+                    columns,
+                    empty,
+                });
+            }
+            break;
+        case "api":
+            let data = instance?.api?.data ?? {};
+            let sortColumns = `${data[params.sort] ?? ""}`.split(",");
+            let orders = `${data[params.order] ?? ""}`.split(",");
+            table.properties.sorts = sortColumns
+                .filter((column) => column !== "")
+                .map((column, index) => ({
+                    column,
+                    direction: orders[index] === "desc" ? "desc" : "asc",
+                }));
+            reflectSort({ table, sorts: table.properties.sorts, ascending });
+            break;
+    }
+}
+
+/**
+ * Gets the rows of a table matching a selector. With a virtual window, the data rows are taken from the rows kept in memory, attached or not, in place of the attached ones.
+ * @param {HTMLElement} table - The table element.
+ * @param {string} [selector="tbody tr"] - The selector of the rows, relative to the table.
+ * @returns {HTMLElement[]} - The rows.
+ */
+function getRows(table, selector = "tbody tr") {
+    let rows = Array.from(table.querySelectorAll(selector)).filter(
+        (row) => !row.isControlRow
+    );
+    if (!table.virtual) {
+        return rows;
+    }
+    rows = rows.filter((row) => !row.isVirtualRow && !row.isVirtualSpacer);
+    let position = rows.findIndex((row) => row.closest("tbody"));
+    rows.splice(
+        position < 0 ? rows.length : position,
+        0,
+        ...table.virtual.rows
+    );
+    return rows;
+}
+
+/**
+ * Adds an event listener and records it in the listener registry of a table, so that it can be removed when the table is destroyed.
+ * @param {HTMLElement} table - The table element owning the listener.
+ * @param {EventTarget} element - The element listened to.
+ * @param {string} type - The event type.
+ * @param {Function} handler - The listener.
+ * @param {Object|boolean} [options] - The listener options.
+ * @returns {void}
+ */
+function addListener(table, element, type, handler, options) {
+    element.addEventListener(type, handler, options);
+    if (table) {
+        table.listeners = [
+            ...(table.listeners ?? []),
+            { element, type, handler, options },
+        ];
+    }
+}
+
+/**
+ * Drops the registered listeners of elements removed from the document, like headers and colvis items rendered again.
+ * @param {HTMLElement} table - The table element owning the listeners.
+ * @returns {void}
+ */
+function pruneListeners(table) {
+    if (table?.listeners) {
+        table.listeners = table.listeners.filter(
+            ({ element }) => !(element instanceof Node) || element.isConnected
+        );
+    }
+}
+
+/**
+ * Emits an event of the TableJS instance a table belongs to.
+ * @param {HTMLElement} table - The table element.
+ * @param {string} event - The event name, one of DEFAULT.EVENTS.
+ * @param {Object} [payload={}] - The payload describing the new state.
+ * @returns {void}
+ */
+function emitEvent(table, event, payload = {}) {
+    table?.events?.emit(event, { type: event, table, ...payload });
+}
+
+/**
+ * Gets the storage of the saved state of an instance.
+ * @param {Object} stateSave - The state saving options.
+ * @returns {Storage} - The storage.
+ */
+function getStateStorage({ storage }) {
+    switch (storage) {
+        case "local":
+            return window.localStorage;
+        case "session":
+            return window.sessionStorage;
+        default:
+            return storage;
+    }
+}
+
+/**
+ * Computes a checksum of the column list of a table, the column definitions taking precedence over the header cells.
+ * @param {HTMLElement} table - The table element.
+ * @returns {string|undefined} - The checksum, undefined while the table has no columns.
+ */
+function getStateChecksum(table) {
+    let keys =
+        table.columns?.map(({ key }) => key) ??
+        Array.from(
+            table.querySelectorAll("thead th"),
+            (th) => th.dataset.tjsColumn
+        );
+    if (keys.length === 0) {
+        return;
+    }
+    return Array.from(keys.join("|"))
+        .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) | 0, 0)
+        .toString(16);
+}
+
+/**
+ * Saves the state of the instance a table belongs to, when it has the `stateSave` option.
+ * @param {HTMLElement} table - The table element.
+ * @returns {void}
+ */
+function saveState(table) {
+    let instance = table?.instance;
+    if (!instance?.stateSave || instance.destroyed) {
+        return;
+    }
+    try {
+        getStateStorage(instance.stateSave).setItem(
+            instance.stateSave.key,
+            JSON.stringify(serializeState(instance))
+        );
+    } catch (error) {
+        emitEvent(table, "error", { error, source: "stateSave" });
+    }
+}
+
+/**
+ * Writes restored properties on the table itself, so that they don't trigger the properties listener, and into the elements
+ * showing them. Api tables also get them into their api data, for the next request.
+ * @param {TableJS} instance - The TableJS instance.
+ * @param {Object} properties - The properties to write, among page, limit, search, filters and sorts.
+ * @returns {void}
+ */
+function writeState(instance, properties) {
+    const { table, paginate } = instance.elements;
+    const to = instance.api?.url ? "api" : "local";
+    const previousFilters = table.filters ?? {};
+
+    Object.assign(table, properties);
+
+    if ("search" in properties) {
+        paginate?.[to]?.search?.forEach((el) => {
+            el.value = table.search ?? DEFAULT.SEARCH;
+            el.previousQuery = el.value;
+        });
+    }
+    if ("filters" in properties) {
+        paginate?.[to]?.filter?.forEach((el) =>
+            writeFilterValue(el, table.filters?.[el.id || el.name])
+        );
+    }
+
+    if (to === "api") {
+        let data = { ...instance.api.data };
+        if ("filters" in properties) {
+            let [filter = {}] = paginate?.api?.filter ?? [];
+            serializeFilters({
+                data,
+                filters: table.filters ?? {},
+                previousFilters,
+                controls: getFilterControls(paginate?.api?.filter),
+                format: filter.format,
+                param: filter.param,
+            });
+        }
+        if ("search" in properties) {
+            delete data.search;
+            if (table.search) {
+                data.search = table.search;
+            }
+        }
+        // A saved "*" limit only replaces the limit of the api data when a limit element chose it
+        let hasLimit =
+            "limit" in properties &&
+            (paginate?.api?.limit !== undefined ||
+                table.limit !== DEFAULT.LIMIT);
+        switch (instance.api.pagination?.strategy) {
+            case "offset":
+            case "cursor":
+                // Cursors of a previous visit are stale
+                if (instance.api.pagination.strategy === "cursor") {
+                    table.page = DEFAULT.PAGE;
+                }
+                if (hasLimit || "page" in properties) {
+                    writePagination(instance, data, {
+                        page: table.page,
+                        limit: hasLimit ? table.limit : undefined,
+                    });
+                }
+                break;
+            default:
+                if (hasLimit) {
+                    delete data.limit;
+                    if (Number(table.limit) > 0) {
+                        data.limit = table.limit;
+                    }
+                }
+                if ("page" in properties) {
+                    delete data.page;
+                    if (table.page > DEFAULT.PAGE) {
+                        data.page = table.page;
+                    }
+                }
+        }
+        if ("sorts" in properties && table.sort?.to === "api") {
+            let { sort = "sort", order = "order" } =
+                table.sort.params ?? {};
+            delete data[sort];
+            delete data[order];
+            if (table.sorts?.length > 0) {
+                data[sort] = table.sorts.map(({ column }) => column).join(",");
+                data[order] = table.sorts
+                    .map(({ direction }) => direction)
+                    .join(",");
+            }
+        }
+        instance.api.data = data;
+    }
+}
+
+/**
+ * Gets the parameters of the URL synchronized by the `urlSync` option.
+ * @param {Object} urlSync - The URL synchronization options.
+ * @returns {URLSearchParams} - The parameters.
+ */
+function getUrlParams({ mode }) {
+    return new URLSearchParams(
+        mode === "hash" ? window.location.hash.slice(1) : window.location.search
+    );
+}
+
+/**
+ * Reads the properties of a table from the URL synchronized by the `urlSync` option, leaving out the missing ones.
+ * @param {Object} urlSync - The URL synchronization options.
+ * @returns {Object} - The properties, among page, limit, search, filters and sorts.
+ */
+function readUrlState(urlSync) {
+    const { include, params } = urlSync;
+    let urlParams = getUrlParams(urlSync);
+    let state = {};
+
+    if (include.includes("page") && urlParams.has(params.page)) {
+        state.page = Math.max(
+            DEFAULT.PAGE,
+            Math.trunc(toNumber(urlParams.get(params.page), DEFAULT.PAGE))
+        );
+    }
+    if (include.includes("limit") && urlParams.has(params.limit)) {
+        let limit = urlParams.get(params.limit);
+        state.limit =
+            Number.isInteger(+limit) && +limit > 0 ? +limit : DEFAULT.LIMIT;
+    }
+    if (include.includes("search") && urlParams.has(params.search)) {
+        state.search = urlParams.get(params.search);
+    }
+    if (include.includes("filters")) {
+        let filters = {};
+        let prefix = `${params.filters}[`;
+        urlParams.forEach((value, key) => {
+            if (key.startsWith(prefix) && key.endsWith("][]")) {
+                let name = key.slice(prefix.length, -3);
+                filters[name] = [...(filters[name] ?? []), value];
+            } else if (key.startsWith(prefix) && key.endsWith("]")) {
+                filters[key.slice(prefix.length, -1)] = value;
+            }
+        });
+        if (Object.keys(filters).length > 0) {
+            state.filters = filters;
+        }
+    }
+    if (include.includes("sorts") && urlParams.has(params.sorts)) {
+        state.sorts = urlParams
+            .get(params.sorts)
+            .split(",")
+            .filter(Boolean)
+            .map((item) => {
+                let [column, direction] = item.split(":");
+                return {
+                    column,
+                    direction: direction === "desc" ? "desc" : "asc",
+                };
+            });
+    }
+
+    return state;
+}
+
+/**
+ * Mirrors the properties of a table into the URL, when its instance has the `urlSync` option.
+ * The changes made by a single action are written together once it's done, properties at their default value are left out,
+ * and the URL is only changed when it differs.
+ * @param {HTMLElement} table - The table element.
+ * @param {String} [history] - The history method, "replace" or "push", defaulting to the one of the options.
+ * @returns {void}
+ */
+function syncUrl(table, history = table?.instance?.urlSync?.history) {
+    let instance = table?.instance;
+    if (
+        !instance?.urlSync ||
+        instance.destroyed ||
+        table.isSyncingState ||
+        table.isUrlSyncPending
+    ) {
+        return;
+    }
+
+    table.isUrlSyncPending = true;
+    queueMicrotask(() => {
+        table.isUrlSyncPending = false;
+        if (!instance.destroyed) {
+            writeUrl(table, history);
+        }
+    });
+}
+
+/**
+ * Writes the properties of a table into the URL synchronized by the `urlSync` option of its instance.
+ * @param {HTMLElement} table - The table element.
+ * @param {String} history - The history method, "replace" or "push".
+ * @returns {void}
+ */
+function writeUrl(table, history) {
+    const { urlSync } = table.instance;
+    const { mode, include, params } = urlSync;
+    const { page, limit, search, filters, sorts } = table.properties;
+    let urlParams = getUrlParams(urlSync);
+
+    Array.from(urlParams.keys()).forEach((key) => {
+        if (
+            Object.values(params).includes(key) ||
+            key.startsWith(`${params.filters}[`)
+        ) {
+            urlParams.delete(key);
+        }
+    });
+
+    if (include.includes("page") && page > DEFAULT.PAGE) {
+        urlParams.set(params.page, page);
+    }
+    if (include.includes("limit") && Number(limit) > 0) {
+        urlParams.set(params.limit, limit);
+    }
+    if (include.includes("search") && search) {
+        urlParams.set(params.search, search);
+    }
+    if (include.includes("filters")) {
+        Object.entries(filters ?? {}).forEach(([key, value]) => {
+            // The values of a multiple choice repeat their parameter
+            if (Array.isArray(value)) {
+                value.forEach((item) =>
+                    urlParams.append(`${params.filters}[${key}][]`, item)
+                );
+            } else if (isActiveFilter(value)) {
+                urlParams.set(`${params.filters}[${key}]`, value);
+            }
+        });
+    }
+    if (include.includes("sorts") && sorts?.length > 0) {
+        urlParams.set(
+            params.sorts,
+            sorts
+                .map(({ column, direction }) => `${column}:${direction}`)
+                .join(",")
+        );
+    }
+
+    let query = urlParams.toString();
+    let url = new URL(window.location.href);
+    if (mode === "hash") {
+        url.hash = query;
+    } else {
+        url.search = query;
+    }
+
+    if (url.href !== window.location.href) {
+        window.history[`${history}State`](window.history.state, "", url.href);
+    }
+}
+
+/**
+ * Applies restored properties to a local table once its rows have been rendered: the filters and the search through
+ * their elements, the sort stack, then the page.
+ * @param {TableJS} instance - The TableJS instance.
+ * @param {Object} [state=table.restoredState] - The properties to apply, the sort stack being applied only when given.
+ * @returns {void}
+ */
+function applyState(
+    instance,
+    state = instance.elements.table.restoredState
+) {
+    const { table, paginate } = instance.elements;
+    const { page, search, filters, sorts } = state;
+    const [filter] = paginate?.local?.filter ?? [];
+    const [searcher] = paginate?.local?.search ?? [];
+    const store = getStore(table);
+    delete table.restoredState;
+
+    if (
+        filter &&
+        filters !== undefined &&
+        (Object.values(filters).some(Boolean) || store.state.filter)
+    ) {
+        toFilter({
+            table,
+            ...filter,
+            filters,
+            controls: getFilterControls(paginate.local.filter),
+            to: "local",
+        });
+    }
+    if (searcher && search !== undefined && (search || store.state.search)) {
+        toSearch({ table, ...searcher, keyword: search, to: "local" });
+    }
+    if (sorts !== undefined) {
+        applySort({ table, ...table.sort, sorts, to: "local" });
+    }
+
+    let result = store.update({
+        limit: table.properties.limit,
+        page: page ?? table.properties.page,
+    });
+    renderRows(table, result);
+    table.properties.page = result.page;
+
+    // The outputs were written before the state applied
+    let paginationInfo = toPaginationInfo(result);
+    Object.values(paginate?.local ?? {})
+        .flat()
+        .forEach(({ output }) => renderOutput(output, paginationInfo));
+}
+
+/**
+ * Gets the row store of a table, creating it from the data rows of the table on first use.
+ * @param {HTMLElement} table - The table element.
+ * @returns {RowStore} - The row store.
+ */
+function getStore(table) {
+    if (!table.store) {
+        table.store = new RowStore(
+            getRows(
+                table,
+                `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+            ),
+            { page: table.properties.page, limit: table.properties.limit }
+        );
+    }
+    return table.store;
+}
+
+/**
+ * Gets the raw values of the visible cells of a row, as searched by the search and the filters.
+ * @param {HTMLElement} row - The row.
+ * @param {number[]} [excludeIndex=[]] - The indexes of the cells to leave out.
+ * @returns {string[]} - The values.
+ */
+function getRowValues(row, excludeIndex = []) {
+    return Array.from(row.children)
+        .filter(
+            (td) =>
+                !excludeIndex.includes(td.cellIndex) && validateVisibility(td)
+        )
+        .map((td) => getCellValue(td));
+}
+
+/**
+ * Renders the result of a row store run: rows are put in order, only the rows of the current page stay visible,
+ * a dummy row shows when no row matches, and the search matches of the shown rows are marked.
+ * @param {HTMLElement} table - The table element.
+ * @param {Object} [result=table.store.result] - The result of the row store run.
+ * @returns {void}
+ */
+function renderRows(table, result = getStore(table).result) {
+    let tbody = table.querySelector("tbody");
+    let paged = new Set(result.paged);
+
+    result.ordered.forEach((row) => {
+        row.classList.add(CLASS.TR.BASE);
+        if (paged.has(row)) {
+            row.classList.add(CLASS.TR.VISIBLE);
+            row.classList.remove(CLASS.TR.HIDDEN);
+        } else {
+            row.classList.add(CLASS.TR.HIDDEN);
+            row.classList.remove(CLASS.TR.VISIBLE);
+        }
+    });
+
+    if (table.virtual) {
+        table.virtual.rows = result.ordered;
+    } else {
+        let fragment = new DocumentFragment();
+        result.ordered.forEach((row) => fragment.appendChild(row));
+        tbody.prepend(fragment);
+    }
+
+    // Virtual rows are marked once attached, and every row unmarked after a reset
+    renderHighlights(
+        table,
+        table.highlight
+            ? table.virtual
+                ? []
+                : result.paged
+            : result.ordered
+    );
+
+    let dummy = tbody.querySelector(`.${CLASS.TR.DUMMY}`);
+
+    if (result.matched.length < 1 && result.total > 0) {
+        if (!dummy) {
+            let dummyTds = document.createElement("td");
+            dummyTds.classList.add(CLASS.TD.BASE);
+            dummyTds.colSpan = table.querySelectorAll("thead th").length;
+            dummyTds.textContent = DEFAULT.NO_RESULT_MESSAGE;
+
+            dummy = document.createElement("tr");
+            dummy.classList.add(
+                CLASS.TR.DUMMY,
+                CLASS.TR.BASE,
+                CLASS.TR.VISIBLE
+            );
+            dummy.role = "row";
+            dummy.appendChild(dummyTds);
+        }
+        tbody.appendChild(dummy);
+    } else {
+        dummy?.remove();
+    }
+
+    renderVirtual(table);
+    renderPages(table);
+}
+
+/**
+ * Renders again the numbered page controls of the instance a table belongs to.
+ * @param {HTMLElement} table - The table element.
+ * @returns {void}
+ */
+function renderPages(table) {
+    let instance = table?.instance;
+    let paginate = instance?.elements?.paginate;
+    ["local", "api"].forEach((to) => {
+        paginate?.[to]?.pages?.forEach((el) => {
+            toPages({ table, ...el, to, instance });
+        });
+    });
+}
+
+/**
+ * Renders the column search row of a table under its header row, with an input or a select for every searchable column.
+ * The row stays across the responses of an api table, the selects without given options listing the values of the new rows,
+ * and is rendered again, keeping the values of the columns, when a response has emptied the table or changed its columns.
+ * @param {TableJS} instance - The TableJS instance.
+ * @returns {void}
+ */
+function renderColumnSearch(instance) {
+    const { columnSearch } = instance;
+    const { table } = instance.elements;
+    let ths = Array.from(table.querySelectorAll("thead th"));
+    if (!columnSearch || ths.length === 0) {
+        return;
+    }
+    const { controls, delay } = columnSearch;
+    const values = table.properties.columnSearch ?? {};
+    let keys = ths.map((th) => th.dataset.tjsColumn).join("\n");
+    if (table.columnSearchRow?.parentElement === table.tHead) {
+        if (table.columnSearchRow.columns === keys) {
+            table.columnSearchRow
+                .querySelectorAll(`.${CLASS.COLUMN_SEARCH.SELECT}`)
+                .forEach((select) => {
+                    let key = select.dataset.tjsColumn;
+                    if (!Array.isArray(controls[key])) {
+                        renderColumnOptions(
+                            select,
+                            table,
+                            ths.find((th) => th.dataset.tjsColumn === key),
+                            controls[key],
+                            values[key]
+                        );
+                    }
+                });
+            return;
+        }
+        table.columnSearchRow.remove();
+    }
 
-    switch (to) {
-        case "local":
-            let ths = table.querySelectorAll("thead th");
-            let tbody = table.querySelector("tbody");
-            let trs = tbody.querySelectorAll(`tr`);
-            let rows = Array.from(trs);
-            let cols = Array.from(ths);
-            let rowLength = rows.length;
+    /**
+     * Searches the table with a new value for a column.
+     * @param {string} key - The `data-tjs-column` value of the column.
+     * @param {string} value - The value.
+     * @returns {void}
+     */
+    let search = (key, value) =>
+        toColumnSearch({
+            table,
+            ...columnSearch,
+            columns: { ...table.properties.columnSearch, [key]: value },
+            instance,
+        });
 
-            let dummyTds = document.createElement("td");
-            dummyTds.classList.add(CLASS.TD.BASE);
-            dummyTds.colSpan = cols.length;
-            dummyTds.textContent = DEFAULT.NO_RESULT_MESSAGE;
+    let row = document.createElement("tr");
+    row.classList.add(CLASS.COLUMN_SEARCH.ROW);
+    row.isControlRow = true;
+
+    ths.forEach((th) => {
+        let key = th.dataset.tjsColumn;
+        let control = controls[key] ?? "input";
+        let cell = document.createElement("td");
+        cell.classList.add(
+            CLASS.COLUMN_SEARCH.CELL,
+            validateVisibility(th) ? CLASS.TD.VISIBLE : CLASS.TD.HIDDEN
+        );
+        row.appendChild(cell);
+        if (control === false || validateExclusion(th, [], "searchable")) {
+            return;
+        }
 
-            let dummy = document.createElement("tr");
-            dummy.classList.add(
-                CLASS.TR.DUMMY,
-                CLASS.TR.BASE,
-                CLASS.TR.VISIBLE
+        let label = th.textContent.trim();
+        let field;
+        if (control === "input") {
+            field = document.createElement("input");
+            field.type = "search";
+            field.classList.add(CLASS.COLUMN_SEARCH.INPUT);
+            addListener(table, field, "input", () => {
+                clearTimeout(table.columnSearchTimeoutId);
+                table.columnSearchTimeoutId = setTimeout(
+                    () => search(key, field.value),
+                    delay
+                );
+            });
+        } else {
+            field = document.createElement("select");
+            field.classList.add(CLASS.COLUMN_SEARCH.SELECT);
+            renderColumnOptions(field, table, th, control, values[key]);
+            addListener(table, field, "change", () =>
+                search(key, field.value)
             );
-            dummy.role = "row";
-
-            dummy.appendChild(dummyTds);
-
-            let excludeIndex = cols.reduce((acc, th) => {
-                if (
-                    exclude.some((item) => {
-                        switch (typeof item) {
-                            case "string":
-                                return (
-                                    th.matches(item) ||
-                                    Array.from(th.classList).includes(item)
-                                );
-                            case "number":
-                                return item === th.cellIndex;
-                            default:
-                                return false;
-                        }
-                    })
-                ) {
-                    acc.push(th.cellIndex);
-                }
-                return acc;
-            }, []);
+        }
+        field.dataset.tjsColumn = key;
+        field.setAttribute("aria-label", `Search ${label}`);
+        field.value = values[key] ?? DEFAULT.SEARCH;
+        cell.appendChild(field);
+    });
 
-            let searchKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-            let searchPattern = new RegExp(searchKeyword, "gi");
-
-            let result = rows.reduce((searched, row) => {
-                let children = row.children;
-                let tds = Array.from(children);
-                let string = tds
-                    .filter(
-                        (td) =>
-                            !excludeIndex.includes(td.cellIndex) &&
-                            validateVisibility(td)
-                    )
-                    .map((td) => td.textContent)
-                    .join(" ");
+    row.columns = keys;
+    table.tHead.appendChild(row);
+    table.columnSearchRow = row;
+}
 
-                let isSearched = searchPattern.test(string);
+/**
+ * Fills a column search select with an "All" option and the given options, or without them with the values of the column
+ * in the rows of the table. The selected value stays listed and selected.
+ * @param {HTMLSelectElement} select - The select.
+ * @param {HTMLElement} table - The table element.
+ * @param {HTMLElement} th - The header cell of the column.
+ * @param {string[]|string} control - The options, or "select" to list the values of the column.
+ * @param {string} [selected=DEFAULT.SEARCH] - The selected value.
+ * @returns {void}
+ */
+function renderColumnOptions(
+    select,
+    table,
+    th,
+    control,
+    selected = DEFAULT.SEARCH
+) {
+    let options = Array.isArray(control)
+        ? control
+        : [
+              ...new Set(
+                  getRows(
+                      table,
+                      `tbody tr:not(.${CLASS.TR.NO_DATA}):not(.${CLASS.TR.DUMMY})`
+                  ).map((tr) => getCellValue(tr.children[th.cellIndex]).trim())
+              ),
+          ]
+              .filter((value) => value !== "")
+              .toSorted((a, b) =>
+                  a.localeCompare(b, undefined, { numeric: true })
+              );
+    if (selected && !options.includes(selected)) {
+        options = [selected, ...options];
+    }
 
-                let isDummy = row.classList.contains(CLASS.TR.DUMMY);
-                row.classList.add(CLASS.TR.BASE);
+    select.innerHTML = "";
+    [DEFAULT.SEARCH, ...options].forEach((value) => {
+        let option = document.createElement("option");
+        option.value = value;
+        option.textContent = value === DEFAULT.SEARCH ? "All" : value;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
 
-                if (isSearched || isDummy) {
-                    row.classList.add(CLASS.TR.VISIBLE);
-                    row.classList.add(CLASS.TR.SEARCHED);
-                    row.classList.remove(CLASS.TR.HIDDEN);
-                    if (isSearched) searched++;
-                } else {
-                    row.classList.add(CLASS.TR.HIDDEN);
-                    row.classList.remove(CLASS.TR.VISIBLE);
-                }
+/**
+ * Converts the result of a row store run into the pagination information given to the outputs.
+ * @param {Object} result - The result of the row store run.
+ * @returns {Object} - The pagination information.
+ */
+function toPaginationInfo({ page, pages, start, paged, matched, total }) {
+    return {
+        current_page: toNumber(page),
+        total_page: toNumber(pages),
+        start_item: toNumber(paged.length > 0 ? start + 1 : 0),
+        end_item: toNumber(start + paged.length),
+        total_rows: toNumber(matched.length),
+        total_records: toNumber(total),
+    };
+}
 
-                return searched;
-            }, 0);
+/**
+ * Writes pagination information to an output.
+ * A function receives the information, an element or selector gets the default template, and an object
+ * `{element, template, filtered, locale}` gets its own `template`, followed by its `filtered` template when search or filters leave out rows.
+ * Templates take `{{field}}` placeholders for current_page, total_page, start_item, end_item, total_rows (the matching rows)
+ * and total_records (every row), numbers being formatted for the `locale`.
+ * @param {Function|String|HTMLElement|Object} [output] - The output.
+ * @param {Object} paginationInfo - The pagination information.
+ * @returns {void}
+ */
+function renderOutput(output, paginationInfo) {
+    if (typeof output === "undefined") {
+        return;
+    }
+    if (typeof output === "function") {
+        output(paginationInfo);
+        return;
+    }
 
-            let dum = tbody.querySelector(`.${CLASS.TR.DUMMY}`);
+    let {
+        element,
+        template = DEFAULT.OUTPUT.template,
+        filtered = DEFAULT.OUTPUT.filtered,
+        locale,
+    } = typeof output === "string" || output instanceof Element
+        ? { element: output }
+        : output;
+    let formatter = new Intl.NumberFormat(locale);
 
-            if (result < 1) {
-                if (!dum) {
-                    tbody.appendChild(dummy);
-                }
-            } else {
-                dum?.remove();
+    /**
+     * Fills the placeholders of a template with the pagination information.
+     * @param {string} text - The template.
+     * @returns {string} - The filled template.
+     */
+    let fill = (text) =>
+        text.replace(REGEX.PLACEHOLDER, (match, field) => {
+            let value = paginationInfo[field];
+            if (value === undefined || value === null) {
+                return match;
             }
+            return typeof value === "number" ? formatter.format(value) : value;
+        });
 
-            let paginationInfo = {
-                current_page: 1,
-                total_page: 1,
-                start_item: toNumber(Math.min(result, 1)),
-                end_item: toNumber(dum ? Math.max(0, result - 1) : result),
-                total_rows: toNumber(dum ? rowLength - 1 : rowLength),
-            };
+    validateElement(element).textContent =
+        fill(template) +
+        (paginationInfo.total_rows < paginationInfo.total_records
+            ? fill(filtered)
+            : "");
+}
 
-            if (typeof output !== "undefined") {
-                let outputType = typeof output;
-                if (outputType === "string" || output instanceof Element) {
-                    let placeholder = validateElement(output);
-                    placeholder.textContent = `${paginationInfo.current_page} of ${paginationInfo.total_page}`;
-                } else if (outputType === "function") {
-                    output(paginationInfo);
-                }
-            }
-            break;
-        case "api":
-            if (instance) {
-                if (instance.api) {
-                    if (!instance.api.data) {
-                        instance.api.data = {};
-                    }
-                    instance.api.data.search = keyword;
-                    delete instance.api.data.limit;
-                    delete instance.api.data.page;
-                    if (keyword === "") {
-                        delete instance.api.data.search;
-                    }
-                }
-                toInitialize(instance, instance?.api?.rendering);
-            }
-            break;
-    }
+/**
+ * Finds the column definition of a header cell in the `columns` option of its table.
+ * @param {HTMLElement} th - The header cell.
+ * @returns {Object|undefined} - The column definition, or undefined when the table has no definition for the column.
+ */
+function findColumn(th) {
+    let columns = th?.closest("table")?.columns;
+    return columns?.find(({ key }) => `${key}` === th.dataset.tjsColumn);
 }
 
 /**
- * Sorts the specified table either locally or via an API, with optional exclusion of columns.
- *
- * @param {Object} options - The options object.
- * @param {HTMLElement|String} options.table - The table element or its selector to sort.
- * @param {String} [options.to="local"] - The destination of the sorting operation. Can be either "local" or "api".
- * @param {Boolean} [options.ascending=true] - Specifies whether the sorting is ascending (true) or descending (false).
- * @param {Boolean} [options.sorting=true] - Specifies whether to perform sorting. If set to false, sorting will not be performed.
- * @param {Array} [options.exclude=[]] - An array of elements to exclude from sorting. Each element can be a selector string or a column index (number).
- *
- * @returns {Boolean} - Returns false if sorting is disabled.
+ * Gets the raw value of a cell, which differs from its text when it was filled by a cell renderer or a template.
+ * @param {HTMLElement} cell - The cell.
+ * @returns {string} - The raw value of the cell.
  */
-function toSort({
-    table,
-    to = "local",
-    ascending = true,
-    sorting = true,
-    exclude = [],
-}) {
-    let currentSort;
-    table = validateVariable(table, {
-        variableName: "toSort.table",
-        $transform: (element) => validateElement(element, "table"),
-        $or: [
-            { typeOf: "string" },
-            { instanceOf: Element },
-            { typeOf: "object" },
-        ],
-    });
-    ascending = validateVariable(ascending, {
-        variableName: "toSort.ascending",
-        $or: [
-            { typeOf: "boolean" },
-            { strictEquals: true },
-            { strictEquals: false },
-        ],
-    });
-    sorting = validateVariable(sorting, {
-        variableName: "toSort.sorting",
-        $or: [
-            { typeOf: "boolean" },
-            { strictEquals: true },
-            { strictEquals: false },
-        ],
-    });
-    exclude = validateVariable(exclude, {
-        variableName: "toSort.exclude",
-        $and: [
-            { instanceOf: Array },
-            { typeOf: "object" },
-            { execute: (array) => Array.isArray(array) },
-            {
-                execute: (array) =>
-                    array.every((items) => typeof items === "number") ||
-                    array.every((items) => typeof items === "string"),
-            },
-        ],
-    });
-    to = validateVariable(to, {
-        variableName: "toSort.to",
-        $and: [{ typeOf: "string" }, { in: ["local", "api"] }],
-    });
-    if (sorting === false) {
-        return sorting;
+function getCellValue(cell) {
+    return cell?.dataset.tjsValue ?? cell?.textContent ?? "";
+}
+
+/**
+ * Reads a value from a record with a dotted path like "address.city", a key containing dots taking precedence.
+ * @param {Object} record - The record to read.
+ * @param {string|number} key - The key or dotted path.
+ * @returns {*} - The value, or undefined when the path does not exist.
+ */
+function resolvePath(record, key) {
+    // The in operator throws on a string or number record
+    if (record && typeof record === "object" && key in record) {
+        return record[key];
     }
-    switch (to) {
-        case "local":
-            let ths = table.querySelectorAll("thead th");
-            let tbody = table.querySelector("tbody");
-            let trs = table.querySelectorAll(`tr:not(.${CLASS.TR.NO_DATA})`);
-            let rows = Array.from(trs);
+    return `${key}`.split(".").reduce((value, part) => value?.[part], record);
+}
 
-            rows.forEach((row, index) => {
-                if (!row.classList.contains(CLASS.TR.BASE)) {
-                    row.classList.add(CLASS.TR.BASE);
-                }
-                if (!row.role) {
-                    row.role = "row";
-                }
-            });
-            rows.shift();
-            ths.forEach((th) => {
-                let thTextContent = th.textContent.trim();
-                let thTrimmedText = thTextContent?.replace(
-                    REGEX.NON_WORD_NON_SPACE,
-                    ""
-                );
-                th.classList.add(CLASS.TH.BASE);
-                th.setAttribute("aria-sorting", "none");
-                if (!th.dataset.tjsColumn) {
-                    th.dataset.tjsColumn = th.cellIndex;
-                }
-                if (!th.index) {
-                    th.index = th.cellIndex;
-                }
-                if (
-                    exclude.some((item) => {
-                        switch (typeof item) {
-                            case "string":
-                                return (
-                                    th.matches(item) ||
-                                    Array.from(th.classList).includes(item)
-                                );
-                            case "number":
-                                return item === th.cellIndex;
-                            default:
-                                return false;
-                        }
-                    })
-                ) {
-                    th.setAttribute(
-                        "aria-describedby",
-                        `${thTrimmedText}: SORTING is disabled.`
-                    );
-                    th.setAttribute(
-                        "aria-label",
-                        `${thTrimmedText}: Unable to sort`
-                    );
-                    th.setAttribute("aria-sorting", "disabled");
-                    th.classList.add(CLASS.SORT.DISABLED);
-                    th.classList.remove(CLASS.SORT.ENABLED);
-                    return;
-                } else {
-                    th.setAttribute(
-                        "aria-label",
-                        `${thTrimmedText}: Activate to sort`
-                    );
-                    th.setAttribute(
-                        "aria-describedby",
-                        `${thTrimmedText}: SORTING is enabled.`
+/**
+ * Validates whether a column is excluded from a feature, either by the exclude list of the feature or by its column definition.
+ * @param {HTMLElement} th - The header cell of the column.
+ * @param {Array<string|number>} [exclude=[]] - The exclude list, with selectors, class names or column indexes.
+ * @param {string} [flag] - The column definition flag allowing the feature ("sortable", "searchable" or "exportable").
+ * @returns {boolean} - True if the column is excluded.
+ */
+function validateExclusion(th, exclude = [], flag) {
+    return (
+        exclude.some((item) => {
+            switch (typeof item) {
+                case "string":
+                    return (
+                        th.matches(item) ||
+                        Array.from(th.classList).includes(item)
                     );
-                    th.classList.add(CLASS.SORT.ENABLED);
-                    th.classList.remove(CLASS.SORT.DISABLED);
-                }
-                th.addEventListener("click", (e) => {
-                    let columnIndex = e.target.cellIndex;
-                    if (e.target.classList.contains(CLASS.SORT.DESCENDING)) {
-                        e.target.setAttribute(
-                            "aria-label",
-                            `${thTrimmedText}: Activate to sort`
-                        );
-                        rows.sort((a, b) => {
-                            return a.index - b.index;
-                        }).forEach((row) => {
-                            tbody.removeChild(row);
-                            tbody.appendChild(row);
-                        });
-                        e.target.classList.remove(CLASS.SORT.DESCENDING);
-                        e.target.setAttribute("aria-sorting", "none");
-                    } else {
-                        currentSort = e.target.classList.contains(
-                            CLASS.SORT.ASCENDING
-                        )
-                            ? !ascending
-                            : ascending;
-                        rows.sort((a, b) => {
-                            let aValue =
-                                a.children[columnIndex]?.textContent.trim();
-                            let bValue =
-                                b.children[columnIndex]?.textContent.trim();
-                            let comparison = aValue?.localeCompare(
-                                bValue,
-                                undefined,
-                                {
-                                    numeric: true,
-                                    sensitivity: "base",
-                                }
-                            );
-                            return currentSort ? comparison : -comparison;
-                        }).forEach((row) => {
-                            tbody.removeChild(row);
-                            tbody.appendChild(row);
-                        });
-                        ths.forEach((th) => {
-                            th.classList.remove(
-                                CLASS.SORT.ASCENDING,
-                                CLASS.SORT.DESCENDING
-                            );
-                        });
-                        e.target.classList.add(
-                            currentSort
-                                ? CLASS.SORT.ASCENDING
-                                : CLASS.SORT.DESCENDING
-                        );
-                        e.target.setAttribute(
-                            "aria-sorting",
-                            currentSort ? "ascending" : "descending"
-                        );
-                        e.target.setAttribute(
-                            "aria-label",
-                            currentSort
-                                ? `${thTrimmedText}: Activate to invert sorting`
-                                : `${thTrimmedText}: Activate to remove sorting`
-                        );
-                    }
-                });
-            });
-            break;
-    }
+                case "number":
+                    return item === th.cellIndex;
+                default:
+                    return false;
+            }
+        }) ||
+        (flag !== undefined && findColumn(th)?.[flag] === false)
+    );
 }
 
 /**
@@ -2870,9 +6854,22 @@ function validateVariable(value, validations = {}) {
  * @returns {boolean} - Returns true if the element is visible, otherwise false.
  */
 function validateVisibility(element) {
-    let computed = window.getComputedStyle(element);
     let style = element.getAttribute("style");
 
+    // Detached elements, like the rows kept aside by the virtual window, have no computed style
+    if (!element.isConnected) {
+        return (
+            ![CLASS.TR.HIDDEN, CLASS.TD.HIDDEN, CLASS.TH.HIDDEN].some((cls) =>
+                element.classList.contains(cls)
+            ) &&
+            (!style ||
+                (!style.includes("display:none") &&
+                    !style.includes("visibility:hidden")))
+        );
+    }
+
+    let computed = window.getComputedStyle(element);
+
     return (
         computed.getPropertyValue("display") !== "none" &&
         computed.getPropertyValue("visibility") !== "hidden" &&
@@ -2887,6 +6884,19 @@ function validateVisibility(element) {
  * @namespace UTILITIES
  */
 const UTILITIES = {
+    /**
+     * Applies a sort stack to a table.
+     * @function applySort
+     * @memberof UTILITIES
+     * @param {Object} options - The options for sorting.
+     * @param {HTMLElement|String} options.table - The table element or its selector.
+     * @param {Array<{column: string|number, direction: string}>} [options.sorts=[]] - The sort stack, the first entry being the primary sort key.
+     * @param {String} [options.to="local"] - The destination for applying sorting.
+     * @param {Object} [options.params] - The api parameter names of the sorted columns and directions.
+     * @returns {Array} The applied sort stack.
+     */
+    applySort,
+
     /**
      * Creates pagination ceiling for a given number.
      * @function createPaginationCeiling
@@ -2936,6 +6946,24 @@ const UTILITIES = {
      */
     propertiesListener,
 
+    /**
+     * Restores the state saved by the `stateSave` option of an instance.
+     * @function restoreState
+     * @memberof UTILITIES
+     * @param {TableJS} instance - The TableJS instance.
+     * @returns {Object|undefined} The restored state, if any.
+     */
+    restoreState,
+
+    /**
+     * Serializes the state saved by the `stateSave` option of an instance.
+     * @function serializeState
+     * @memberof UTILITIES
+     * @param {TableJS} instance - The TableJS instance.
+     * @returns {{version: number, checksum: string, state: Object}} The serialized state.
+     */
+    serializeState,
+
     /**
      * Performs post-initialization tasks for a table.
      * @function postInitialize
@@ -2971,6 +6999,31 @@ const UTILITIES = {
      */
     toCSV,
 
+    /**
+     * Searches the columns of a table each with their own value.
+     * @function toColumnSearch
+     * @memberof UTILITIES
+     * @param {Object} options - The options for the column search.
+     * @param {HTMLElement|String} options.table - The table element or its selector.
+     * @param {Object<string, string>} [options.columns={}] - The values keyed by `data-tjs-column` value.
+     * @param {Object<string, string|string[]|boolean>} [options.controls={}] - The controls keyed by `data-tjs-column` value ("input", "select", the options of a select, or false).
+     * @param {String} [options.to="local"] - The target of the search ("local" or "api").
+     * @param {String} [options.format=DEFAULT.COLUMN_SEARCH.format] - The api serialization of the values ("bracket", "json" or "flat").
+     * @param {String} [options.param=DEFAULT.COLUMN_SEARCH.param] - The api parameter name of the values.
+     * @param {String|HTMLElement|Function|Object} [options.output] - The output element or function for displaying pagination info, or an object with a template.
+     * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
+     */
+    toColumnSearch,
+
+    /**
+     * Destroys a TableJS instance, removing its listeners and restoring the original markup of its elements.
+     * @function toDestroy
+     * @memberof UTILITIES
+     * @param {TableJS} instance - The TableJS instance to destroy.
+     * @returns {TableJS} The destroyed instance.
+     */
+    toDestroy,
+
     /**
      * Exports table data to an Excel file.
      * @function toExcel
@@ -2985,6 +7038,19 @@ const UTILITIES = {
     toFilter,
 
     toInitialize,
+
+    /**
+     * Moves the table of an instance to another page.
+     * @function toNavigate
+     * @memberof UTILITIES
+     * @param {Object} options - The options for navigating.
+     * @param {TableJS} options.instance - The TableJS instance to paginate.
+     * @param {String} options.as - The action to perform ("next", "previous", "first", "last" or "page").
+     * @param {Number} [options.page] - The page number to go to when `as` is "page".
+     * @returns {Promise<TableJS>} A promise that resolves with the instance once the page has been rendered.
+     */
+    toNavigate,
+
     /**
      * Limits the number of rows displayed in a table.
      * @function toLimit
@@ -2996,7 +7062,7 @@ const UTILITIES = {
      * @param {Array} [options.items=DEFAULT.ITEMS] - The array of items for limit options.
      * @param {String} [options.to="local"] - The destination for applying limits.
      * @param {Array} [options.exclude=[]] - The list of columns to exclude from limiting.
-     * @param {String|HTMLElement|Function} [options.output] - The output element or function for displaying pagination info.
+     * @param {String|HTMLElement|Function|Object} [options.output] - The output element or function for displaying pagination info, or an object with a template.
      */
     toLimit,
 
@@ -3008,10 +7074,52 @@ const UTILITIES = {
      * @param {HTMLElement|String} options.table - The table element or its selector.
      * @param {String} options.as - The action to perform for pagination ("next" or "previous").
      * @param {String} [options.to="local"] - The destination for applying pagination.
-     * @param {String|HTMLElement|Function} [options.output] - The output element or function for displaying pagination info.
+     * @param {String|HTMLElement|Function|Object} [options.output] - The output element or function for displaying pagination info, or an object with a template.
      */
     toPaginate,
 
+    /**
+     * Renders numbered page controls for a table.
+     * @function toPages
+     * @memberof UTILITIES
+     * @param {Object} options - The options for the page controls.
+     * @param {HTMLElement|String} options.table - The table element or its selector.
+     * @param {HTMLElement|String} options.element - The element receiving the controls.
+     * @param {String} [options.to="local"] - The target of the pagination ("local" or "api").
+     * @param {Number} [options.siblings=DEFAULT.PAGES.siblings] - The number of pages shown on each side of the current page.
+     * @param {Number} [options.boundaries=DEFAULT.PAGES.boundaries] - The number of pages shown at both ends.
+     * @param {Boolean} [options.goTo=true] - Whether to render the "go to page" input.
+     * @param {TableJS} [options.instance] - The TableJS instance, required in "api" mode.
+     */
+    toPages,
+
+    /**
+     * Loads the next pages of an api table under the rows already there.
+     * @function toMore
+     * @memberof UTILITIES
+     * @param {Object} options - The options for loading more rows.
+     * @param {HTMLElement|String} options.table - The table element or its selector.
+     * @param {HTMLElement|String} options.element - The element loading the next page when clicked.
+     * @param {Boolean} [options.observe=DEFAULT.MORE.observe] - Whether a sentinel row loads the next page when it scrolls into view.
+     * @param {String} [options.rootMargin=DEFAULT.MORE.rootMargin] - The margin around the viewport within which the sentinel row counts as in view.
+     * @param {TableJS} options.instance - The TableJS instance.
+     */
+    toMore,
+
+    /**
+     * Exports table data to a paginated PDF file.
+     * @function toPDF
+     * @memberof UTILITIES
+     * @param {Object} options - The options for exporting to PDF.
+     * @param {HTMLElement|String} options.table - The table element or its selector.
+     * @param {Boolean} [options.headers=true] - Flag indicating whether to include headers in the PDF file.
+     * @param {Array} [options.exclude=[]] - The list of columns to exclude from exporting.
+     * @param {String} [options.filename="export"] - The name of the PDF file.
+     * @param {String} [options.orientation="portrait"] - The page orientation ("portrait" or "landscape").
+     * @param {String} [options.size="a4"] - The page size ("a3", "a4", "a5", "letter" or "legal").
+     */
+    toPDF,
+
     /**
      * Prints a table.
      * @function toPrint
@@ -3054,12 +7162,42 @@ const UTILITIES = {
      * @param {string} [options.to="local"] - The scope of the search ("local" for within the table or "api" for an external API).
      * @param {HTMLElement|object|string} options.element - The specific element to search within (applicable when `to` is "local").
      * @param {string} options.keyword - The keyword to search for within the table.
-     * @param {function|string|HTMLElement} options.output - The output destination for search results.
+     * @param {function|string|HTMLElement|Object} [options.output] - The output destination for search results, or an object with a template.
      * @param {Array<number|string>} [options.exclude=[]] - An array of column indices or CSS selectors to exclude from the search.
      * @returns {void}
      */
     toSearch,
 
+    /**
+     * Records the markup, attributes and own properties of an element.
+     * @function toSnapshot
+     * @memberof UTILITIES
+     * @param {Element} element - The element to record.
+     * @returns {Object} The snapshot restored by `toDestroy`.
+     */
+    toSnapshot,
+
+    /**
+     * Restores the state of an instance from its URL whenever the history changes.
+     * @function toUrlSync
+     * @memberof UTILITIES
+     * @param {TableJS} instance - The TableJS instance with the `urlSync` option.
+     * @returns {void}
+     */
+    toUrlSync,
+
+    /**
+     * Enables the virtual window of a table.
+     * @function toVirtual
+     * @memberof UTILITIES
+     * @param {Object} options - The options for the virtual window.
+     * @param {HTMLElement|String} options.table - The table element or its selector.
+     * @param {Number} [options.height=DEFAULT.VIRTUAL.height] - The height of the scroll container in pixels.
+     * @param {Number} [options.rowHeight=DEFAULT.VIRTUAL.rowHeight] - The fixed height of a row in pixels.
+     * @param {Number} [options.buffer=DEFAULT.VIRTUAL.buffer] - The number of rows attached above and below the visible ones.
+     */
+    toVirtual,
+
     /**
      * Validates an HTML element.
      * @function validateElement